@@ -0,0 +1,50 @@
+/**
+ * demo-pipeline.mjs — Pipeline completo contra el Demo Labdisc (sin browser)
+ *
+ * Uso:  node bench/demo-pipeline.mjs [segundos] [hz] [poll|push]
+ *
+ * Conecta el Bridge al Labdisc virtual (src/labdisc/simulator.js), hace el
+ * handshake real (0xAA → 0x82, 0x10 → 0x83), arranca el stream y muestra
+ * las líneas UART que se mandarían a la micro:bit. Al final imprime la
+ * calidad del enlace: con el simulador no debería perderse nada.
+ */
+
+import { Bridge } from '../src/bridge/bridge.js';
+import { AcquisitionMode } from '../src/labdisc/connection.js';
+
+const seconds = parseFloat(process.argv[2]) || 5;
+const hz = parseInt(process.argv[3], 10) || 10;
+const mode = process.argv[4] === 'push' ? AcquisitionMode.PUSH : AcquisitionMode.POLL;
+
+const bridge = new Bridge();
+bridge.onLog = (type, msg) => console.log(`[${type}] ${msg}`);
+
+await bridge.useDemoLabdisc(true);
+await bridge.setMode(mode);
+bridge.setHz(hz);
+await bridge.connectLabdisc();
+
+let lastCount = 0;
+bridge.onUpdate = () => {
+  const count = bridge.labdisc.parser.packetCount;
+  if (count === 0 || count === lastCount || !bridge.lastUartLine) return;
+  lastCount = count;
+  console.log(`#${count} ${bridge.lastUartLine}`);
+};
+
+await bridge.manualStartStream();
+await new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+await bridge.manualStopStream();
+
+const link = bridge.labdisc.linkStats.getStats();
+bridge.onUpdate = null;
+await bridge.disconnectLabdisc();
+
+console.log(JSON.stringify({
+  mode: mode,
+  hz: hz,
+  packets: lastCount,
+  lastUartLine: bridge.lastUartLine,
+  link: link.totals,
+  health: link.health,
+}, null, 2));
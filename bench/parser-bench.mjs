@@ -0,0 +1,152 @@
+/**
+ * parser-bench.mjs — Throughput de LabdiscParser
+ *
+ * Uso:  node bench/parser-bench.mjs [segundos]
+ *
+ * Arma un stream sintético parecido al peor caso real (25 Hz, lista
+ * larga de sensores, 0x84 + 0x81 intercalados) con basura entre paquetes
+ * y algunos checksums rotos, lo corta en chunks de tamaño aleatorio
+ * (1–64 bytes, como llegan de Web Serial) y mide cuántos bytes/s y
+ * paquetes/s procesa el parser. También verifica que no se pierdan
+ * paquetes válidos.
+ *
+ * Cada escenario corre dos veces sobre los mismos chunks: con el parser
+ * actual (ring buffer) y con la copia congelada del parser anterior
+ * (array + splice, bench/parser-v5.mjs).
+ *
+ * Resultados de referencia (Node 20, 1 core, 2 s por escenario y parser,
+ * una corrida; los MB/s varían bastante entre corridas por el JIT):
+ *
+ *   escenario                  ring buffer             array + splice
+ *   normal,  chunks 1-64 B     ~9 MB/s,  0 perdidos    ~13 MB/s,   0 perdidos
+ *   normal,  chunks 1-4096 B   ~13 MB/s, 0 perdidos    ~6 MB/s,    0 perdidos
+ *   resync,  chunks 1-64 B     ~15 MB/s, 2 perdidos    ~11 MB/s,   2 perdidos
+ *   resync,  chunks 1-4096 B   ~15 MB/s, 2 perdidos    ~0.06 MB/s, ~15800 perdidos
+ *
+ * Los 2 perdidos son headers falsos cuyo checksum da bien por casualidad
+ * (1/256). El parser viejo se ahoga con chunks grandes y tormentas: corta
+ * _processBuffer a las 50 vueltas por feed(), el buffer crece y cada
+ * splice/unshift recorre todo el array. Para comparar un cambio del
+ * parser, correr el bench antes y después en la misma máquina.
+ */
+
+import { LabdiscParser } from '../src/labdisc/parser.js';
+import { LabdiscParser as ArrayParser } from './parser-v5.mjs';
+import { calcChecksum } from '../src/labdisc/protocol.js';
+
+const SENSOR_IDS = [30, 6, 20, 26, 2, 25, 21, 13, 27, 28, 33, 32, 36, 37, 38, 1];
+
+function packet(bytes) {
+  bytes.push(calcChecksum(bytes));
+  return bytes;
+}
+
+function sensorIdsPacket() {
+  const b = [0x2E, 0x69, 0x82, ...SENSOR_IDS];
+  while (b.length < 20) b.push(0);
+  return packet(b);
+}
+
+function onlinePacket(seq) {
+  const b = [0x2E, 0x69, 0x81, 0];
+  for (let i = 0; i < SENSOR_IDS.length; i++) {
+    const raw = (seq * 37 + i * 1000) & 0x7FFF;
+    b.push(raw >> 8, raw & 0xFF);
+  }
+  b[3] = b.length + 1;
+  return packet(b);
+}
+
+function experimentPacket(seq) {
+  const b = [0x2E, 0x69, 0x84, 0, 0xFF, 0xFF, 0, seq & 0xFF];
+  for (let i = 0; i < SENSOR_IDS.length; i++) {
+    const raw = (seq * 11 + i * 500) & 0x7FFF;
+    b.push(raw >> 8, raw & 0xFF);
+  }
+  b[3] = b.length + 1;
+  return packet(b);
+}
+
+/**
+ * Stream de prueba + cantidad de paquetes de datos válidos que contiene.
+ * @param {number} packets - Paquetes de datos a generar
+ * @param {number} storm - Probabilidad de una ráfaga de ruido con headers
+ *   falsos (simula un SPP que se re-sincroniza)
+ */
+function buildStream(packets, storm) {
+  const out = sensorIdsPacket();
+  let valid = 0;
+  let seed = 1;
+  const rnd = () => (seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF) / 0x7FFFFFFF;
+
+  for (let n = 0; n < packets; n++) {
+    const pkt = n % 3 === 0 ? onlinePacket(n) : experimentPacket(n);
+    if (rnd() < 0.02) {
+      pkt[5] ^= 0x5A;           // checksum roto
+    } else {
+      valid++;
+    }
+    for (const b of pkt) out.push(b);
+    if (rnd() < 0.05) {          // basura entre paquetes (incluye medio header)
+      out.push(0x13, 0x2E, 0x00, 0x69, 0x2E);
+    }
+    if (rnd() < storm) {         // tormenta: headers falsos con tipos/largos inválidos
+      for (let k = 0; k < 40; k++) out.push(0x2E, 0x69, (rnd() * 256) | 0);
+    }
+  }
+  return { bytes: Uint8Array.from(out), valid };
+}
+
+/** Corta el stream en chunks de 1..maxChunk bytes (pseudo-aleatorio, reproducible). */
+function chunkStream(bytes, maxChunk) {
+  const chunks = [];
+  let seed = 7;
+  for (let i = 0; i < bytes.length;) {
+    seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+    const size = 1 + (seed % maxChunk);
+    chunks.push(bytes.subarray(i, i + size));
+    i += size;
+  }
+  return chunks;
+}
+
+/** Alimenta el stream a un parser durante `seconds` segundos. */
+function measure(Parser, chunks, bytes, valid, seconds) {
+  let totalBytes = 0;
+  let totalPackets = 0;
+  let lastRunPackets = 0;
+  const start = process.hrtime.bigint();
+  const deadline = start + BigInt(Math.round(seconds * 1e9));
+
+  while (process.hrtime.bigint() < deadline) {
+    const parser = new Parser();
+    let received = 0;
+    parser.onData = () => { received++; };
+    for (const c of chunks) parser.feed(c);
+    totalBytes += bytes.length;
+    totalPackets += received;
+    lastRunPackets = received;
+  }
+
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+  return `${(totalBytes / elapsed / 1e6).toFixed(2)} MB/s, ` +
+    `${Math.round(totalPackets / elapsed)} paq/s, ` +
+    `${valid - lastRunPackets} perdidos`;
+}
+
+function run(label, bytes, valid, maxChunk, seconds) {
+  const chunks = chunkStream(bytes, maxChunk);
+  const ring = measure(LabdiscParser, chunks, bytes, valid, seconds);
+  const array = measure(ArrayParser, chunks, bytes, valid, seconds);
+  console.log(`${label}: ring ${ring.padEnd(40)} | array ${array}`);
+}
+
+const seconds = parseFloat(process.argv[2]) || 3;
+const normal = buildStream(20000, 0);
+const storm = buildStream(20000, 0.2);
+console.log(`stream normal: ${normal.bytes.length} bytes, ${normal.valid} paquetes válidos`);
+run('normal,  chunks 1-64 B  ', normal.bytes, normal.valid, 64, seconds);
+run('normal,  chunks 1-4096 B', normal.bytes, normal.valid, 4096, seconds);
+console.log(`stream con tormentas de resync: ${storm.bytes.length} bytes, ${storm.valid} paquetes válidos`);
+run('resync,  chunks 1-64 B  ', storm.bytes, storm.valid, 64, seconds);
+run('resync,  chunks 1-4096 B', storm.bytes, storm.valid, 4096, seconds);
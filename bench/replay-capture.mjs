@@ -0,0 +1,55 @@
+/**
+ * replay-capture.mjs — Pasar una captura real por LabdiscParser (sin browser)
+ *
+ * Uso:  node bench/replay-capture.mjs captura.json [--values]
+ *
+ * Alimenta los chunks "rx" de una captura (ver src/labdisc/capture.js)
+ * al parser, con el mismo troceo, y muestra un resumen: paquetes por
+ * tipo, checksums malos, bytes descartados y, con --values, cada
+ * paquete de datos convertido. Sirve para comparar un cambio en el
+ * parser contra capturas de clase: el resumen tiene que dar igual.
+ */
+
+import { readFileSync } from 'node:fs';
+import { LabdiscParser } from '../src/labdisc/parser.js';
+import { parseCapture, hexToBytes } from '../src/labdisc/capture.js';
+import { SENSORS } from '../src/labdisc/sensors.js';
+
+const file = process.argv[2];
+if (!file) {
+  console.error('Uso: node bench/replay-capture.mjs captura.json [--values]');
+  process.exit(1);
+}
+const showValues = process.argv.includes('--values');
+
+const capture = parseCapture(readFileSync(file, 'utf8'));
+const parser = new LabdiscParser();
+
+const summary = { chunks: 0, bytes: 0, sensorIds: 0, status: 0, data: 0, expLog: 0, raw: 0, badChecksums: 0, resyncBytes: 0 };
+
+parser.onSensorIds = () => { summary.sensorIds++; };
+parser.onStatus = () => { summary.status++; };
+parser.onExperimentLog = () => { summary.expLog++; };
+parser.onRawPacket = () => { summary.raw++; };
+parser.onBadChecksum = () => { summary.badChecksums++; };
+parser.onResync = (n) => { summary.resyncBytes += n; };
+parser.onData = (values, count) => {
+  summary.data++;
+  if (!showValues) return;
+  const line = parser.sensorIds
+    .filter(id => values[id] && values[id].value !== null && id !== 7)
+    .map(id => `${SENSORS[id] ? SENSORS[id].name : id}=${values[id].value.toFixed(SENSORS[id] ? SENSORS[id].dec : 3)}`)
+    .join(' ');
+  console.log(`#${count} ${line}`);
+};
+
+for (const ev of capture.events) {
+  if (ev[1] !== 'rx') continue;
+  const bytes = hexToBytes(ev[2]);
+  summary.chunks++;
+  summary.bytes += bytes.length;
+  parser.feed(bytes);
+}
+
+console.log(`captura: ${capture.startedAt}${capture.note ? ' — ' + capture.note : ''}`);
+console.log(JSON.stringify(summary, null, 2));
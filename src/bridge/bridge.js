@@ -3,13 +3,31 @@
  * 
  * v5.0 — Fix auto-stream re-start on manual stop
  * 
- * Coordinates the flow: Labdisc → decode → convert → format → micro:bit
+ * Coordinates the flow: Labdisc → decode → convert → format → micro:bits
+ *
+ * Un segundo Labdisc opcional (labdisc2, ej. adentro y afuera de un
+ * invernadero) sigue al primero: mismo modo, frecuencia y stream. Sus
+ * valores se muestran con la etiqueta del equipo y salen por UART en las
+ * líneas C/D en lugar de A/B.
+ *
+ * Varias micro:bits a la vez (trabajo en grupo): cada dato va a todas.
+ * Cada una tiene su propia conexión BLE y su cola de un paquete
+ * (MicrobitBLE.post), así una placa lenta o que falla no frena al resto.
+ *
+ * Las micro:bits también pueden mandar comandos (HZ, START, STOP, ONLY,
+ * PING, HEADER — ver commands.js). Cada uno se ejecuta igual que desde la
+ * UI y la respuesta (ACK/ERR) va solo a la placa que lo mandó.
+ *
+ * Encabezado UART (formatHeader): cada micro:bit lo recibe al conectarse
+ * (también tras un reflash), todas cuando cambia lo que describe (perfil,
+ * unidades UART, sensor externo, Labdisc 2) y una sola con HEADER.
  * 
- * Uses 0x55 polling (not 0x11/0x22 streaming). Frequency configurable 1-25Hz.
+ * Uses 0x55 polling by default. Frequency configurable 1-25Hz.
+ * Push mode (0x11 → 0x84, device-paced at 1/10/25 Hz) selectable with setMode().
  * 
  * Auto-stream rules:
  * - Both devices connected → auto-start polling at current hz
- * - micro:bit disconnects during auto-stream → auto-stop
+ * - Last micro:bit disconnects during auto-stream → auto-stop
  * - Manual stream (button) → works without micro:bit, no auto-stop
  * - Manual stop → inhibits auto-start until micro:bit reconnects
  * 
@@ -26,18 +44,108 @@
  *   - El usuario inicia manualmente de nuevo
  */
 
-import { LabdiscConnection, ConnectionState } from '../labdisc/connection.js';
+import { LabdiscConnection, ConnectionState, AcquisitionMode } from '../labdisc/connection.js';
 import { MicrobitBLE, BleState } from '../microbit/ble-uart.js';
-import { formatForUART, formatForDisplay } from './formatter.js';
+import { formatForUART, formatForDisplay, formatHeader } from './formatter.js';
+import { UnitSettings } from './units.js';
+import { UartLayoutStore, worstCaseBytes, fieldMaxChars, LINE_MAX_BYTES } from './uart-layout.js';
+import { buildSampleTable } from '../labdisc/memory.js';
+import { DemoLabdisc, OUTDOOR_WAVEFORMS } from '../labdisc/simulator.js';
+import { ProtocolWorkbench } from '../labdisc/workbench.js';
+import { ExternalSensorRegistry } from '../labdisc/external-sensors.js';
+import { CalibrationStore } from '../labdisc/calibration.js';
+import { SENSORS } from '../labdisc/sensors.js';
+import { GpsTrack, GPS_SENSOR_ID } from '../labdisc/gps-track.js';
+import { Command, parseCommand, ackLine, errLine } from './commands.js';
 
 export class Bridge {
   constructor() {
     this.labdisc = new LabdiscConnection();
-    this.microbit = new MicrobitBLE();
+    /** @type {MicrobitBLE[]} micro:bits conectadas (o conectando / reconectando) */
+    this.microbits = [];
+    this._nextMicrobitId = 1;
 
     this.displayValues = [];
     this.lastUartLine = '';
-    this.uartSentCount = 0;
+
+    /**
+     * Segundo Labdisc, o null. Solo stream en vivo: memoria, registro,
+     * calibración, recorrido GPS y banco de pruebas son del primero.
+     * @type {LabdiscConnection|null}
+     */
+    this.labdisc2 = null;
+    this.lastValues2 = null;
+    this.displayValues2 = [];
+    this.lastUartLine2 = '';
+
+    /** Sincronizar el reloj del Labdisc al conectar (ver LabdiscConnection.syncClock) */
+    this.syncClockOnConnect = false;
+
+    /** Escuchar comandos de las micro:bits (RX, ver MicrobitBLE.rxEnabled). Vale para las próximas conexiones */
+    this.microbitCommands = false;
+
+    /** Experimentos guardados en el Labdisc (registros 0x55) */
+    this.memoryLog = [];
+
+    /** true si la última lectura de memoria no tuvo respuesta (memoryLog no dice nada) */
+    this.memoryUnread = false;
+
+    /** Tabla del último experimento descargado (ver memory.js) */
+    this.memoryTable = null;
+
+    /** true mientras hay una lectura/descarga de memoria en curso */
+    this.memoryBusy = false;
+
+    /**
+     * Borrado de memoria en dos pasos (ver prepareClearMemory):
+     * null | { step: 'confirm' } | { step: 'done', ok: boolean }
+     */
+    this.memoryClear = null;
+
+    /** Sensores externos definidos por el usuario (localStorage) */
+    this.externalSensors = new ExternalSensorRegistry();
+    this.externalSensors.onChange = () => {
+      this.labdisc.parser.reapplySensorIds();
+      if (this.labdisc2) this.labdisc2.parser.reapplySensorIds();
+      this._update();
+    };
+
+    /** Calibraciones por sensor y por equipo (localStorage) */
+    this.calibration = new CalibrationStore();
+    this.calibration.onChange = () => this._update();
+
+    /**
+     * Calibración de dos puntos en curso: primer punto capturado, o null.
+     * @type {{sensorId: number, point: {measured: number, reference: number}}|null}
+     */
+    this.calibrationPending = null;
+
+    /** Recorrido GPS (salidas de campo) y si se está grabando */
+    this.track = new GpsTrack();
+    this.trackRecording = false;
+
+    /** Unidades elegidas para mostrar (y opcionalmente para la UART) */
+    this.units = new UnitSettings();
+
+    /** Perfiles de las líneas UART (localStorage) */
+    this.layouts = new UartLayoutStore();
+    this.layouts.onChange = () => {
+      this._updateHeader();
+      this._refreshDisplay();
+    };
+
+    /**
+     * Último encabezado enviado a todas (ver _updateHeader). null hasta
+     * que lo recibe la primera micro:bit: antes no hay a quién avisarle.
+     */
+    this._lastHeader = null;
+
+    /** Últimos valores recibidos (para capturar lecturas de calibración) */
+    this.lastValues = null;
+
+    /** Banco de pruebas del protocolo (comandos arbitrarios, ver workbench.js) */
+    this.workbench = new ProtocolWorkbench();
+    this.workbench.onChange = () => this._update();
 
     /** true if streaming was started by auto-stream (not manual button) */
     this._autoStarted = false;
@@ -54,32 +162,324 @@ export class Bridge {
     this.onLog = null;
 
     this._wireLabdisc();
-    this._wireMicrobit();
   }
 
   // ─── Public API ───
 
-  async connectLabdisc() { await this.labdisc.connect(); }
+  /** true si this.labdisc es el Labdisc virtual (simulator.js) */
+  get isDemo() { return this.labdisc instanceof DemoLabdisc; }
+
+  /**
+   * Cambia entre el Labdisc real (Web Serial) y el "Demo Labdisc".
+   * Desconecta el actual; conserva modo, frecuencia y sensores elegidos.
+   * @param {boolean} enabled
+   */
+  async useDemoLabdisc(enabled) {
+    if (enabled === this.isDemo) return;
+
+    await this.disconnectLabdisc2();
+    var prev = this.labdisc;
+    await prev.disconnect();
+    prev.onStateChange = null;
+    prev.onSensorIds = null;
+    prev.onStatus = null;
+    prev.onData = null;
+    prev.onPairSwitch = null;
+    prev.onLog = null;
+
+    this.labdisc = enabled ? new DemoLabdisc() : new LabdiscConnection();
+    this.labdisc.mode = prev.mode;
+    this.labdisc.pollHz = prev.pollHz;
+    this.labdisc.selectedIds = prev.selectedIds;
+    this._wireLabdisc();
+
+    this._log('info', enabled ? 'Usando Demo Labdisc (simulado)' : 'Usando Labdisc real');
+    this._update();
+  }
+
+  /**
+   * @param {Object} [options] - choosePort / noPrompt (ver LabdiscConnection._requestPort)
+   */
+  async connectLabdisc(options) {
+    await this.labdisc.connect(Object.assign({ syncClock: this.syncClockOnConnect }, options));
+  }
   async disconnectLabdisc() { await this.labdisc.disconnect(); this._update(); }
-  async connectMicrobit() { await this.microbit.connect(); }
-  async disconnectMicrobit() { await this.microbit.disconnect(); this._update(); }
+
+  /**
+   * Conecta el segundo Labdisc. Siempre con el selector (el port
+   * recordado es el del primero); en modo demo, un Demo Labdisc con
+   * OUTDOOR_WAVEFORMS. Si no llega a conectarse, labdisc2 vuelve a null.
+   */
+  async connectLabdisc2() {
+    if (this.labdisc2) return;
+    var second = this.isDemo ? new DemoLabdisc({ waveforms: OUTDOOR_WAVEFORMS }) : new LabdiscConnection();
+    second.mode = this.labdisc.mode;
+    second.pollHz = this.labdisc.pollHz;
+    second.parser.externalRegistry = this.externalSensors;
+    this.labdisc2 = second;
+    this._wireLabdisc2(second);
+    this._updateHeader();
+    this._update();
+
+    await second.connect({ choosePort: true, syncClock: this.syncClockOnConnect });
+    if (!second.isConnected) this._dropLabdisc2(second);
+  }
+
+  async disconnectLabdisc2() {
+    var second = this.labdisc2;
+    if (!second) return;
+    await second.disconnect();
+    this._dropLabdisc2(second);
+  }
+
+  /**
+   * Conecta una micro:bit más (abre el selector, salvo options.device /
+   * options.noPrompt). Si no llega a conectarse, no queda en la lista.
+   * @param {Object} [options] - Ver MicrobitBLE.connect
+   */
+  async connectMicrobit(options) {
+    var microbit = new MicrobitBLE();
+    microbit.id = this._nextMicrobitId++;
+    microbit.rxEnabled = this.microbitCommands;
+    this._wireMicrobit(microbit);
+    this.microbits.push(microbit);
+    this._update();
+
+    var excludeIds = this.microbits
+      .filter(function(m) { return m !== microbit && m.device; })
+      .map(function(m) { return m.device.id; });
+    await microbit.connect(Object.assign({ excludeIds: excludeIds }, options));
+  }
+
+  /** Desconecta y quita una micro:bit de la lista. */
+  async disconnectMicrobit(id) {
+    var microbit = this.microbitById(id);
+    if (microbit) await microbit.disconnect();
+    this._update();
+  }
+
+  /**
+   * Reconecta las micro:bits de la sesión anterior que el navegador
+   * recuerda (getDevices), sin selector. Las que no están al alcance
+   * no quedan en la lista.
+   */
+  async connectKnownMicrobits() {
+    var devices = await MicrobitBLE.knownDevices();
+    var ids = MicrobitBLE.rememberedIds();
+    var list = devices.filter(function(d) { return ids.indexOf(d.id) !== -1; });
+    var self = this;
+    await Promise.all(list.map(function(d) { return self.connectMicrobit({ device: d }); }));
+  }
+
+  microbitById(id) {
+    return this.microbits.find(function(m) { return m.id === id; }) || null;
+  }
 
   /**
    * Set polling frequency.
    * @param {number} hz - Frequency in Hz (1-25 recommended)
    */
   setHz(hz) {
+    // En push el primero se re-arranca y el segundo lo sigue (_syncLabdisc2)
+    // con el pollHz nuevo; en poll cambia el timer de los dos en caliente.
+    if (this.labdisc2) {
+      if (this.labdisc2._activeMode === AcquisitionMode.PUSH) this.labdisc2.pollHz = hz;
+      else this.labdisc2.setHz(hz);
+    }
     this.labdisc.setHz(hz);
     this._update();
   }
 
+  /**
+   * Elige los sensores activos (null = todos). Los que no soportan la
+   * frecuencia quedan afuera igual (ver LabdiscConnection.activeMask).
+   * @param {number[]|null} ids
+   */
+  setSelectedSensors(ids) {
+    this.labdisc.setSelectedSensors(ids);
+    this._update();
+  }
+
+  /**
+   * Switch acquisition mode at runtime (restarts the stream if active).
+   * @param {string} mode - AcquisitionMode.POLL | AcquisitionMode.PUSH
+   */
+  async setMode(mode) {
+    // El segundo toma el modo al re-arrancar junto con el primero (_syncLabdisc2)
+    if (this.labdisc2) this.labdisc2.mode = mode;
+    await this.labdisc.setMode(mode);
+    this._update();
+  }
+
+  /**
+   * Envía un comando arbitrario desde el banco de pruebas.
+   * Con el stream activo las respuestas se mezclan con los datos: avisamos.
+   * @param {number} code
+   * @param {number[]} payload
+   * @param {number} [windowMs]
+   */
+  async sendWorkbenchCommand(code, payload, windowMs) {
+    if (!this.labdisc.isConnected) return null;
+    if (this.labdisc.isStreaming) {
+      this._log('warn', 'Stream activo: las respuestas van a incluir paquetes de datos');
+    }
+    return this.workbench.send(code, payload, windowMs);
+  }
+
+  // ─── Calibración ───
+
+  /**
+   * Calibración de un punto con la lectura en vivo.
+   * @param {number} sensorId
+   * @param {number} reference - Valor verdadero
+   * @throws {Error} si no hay lectura del sensor
+   */
+  calibrateOffset(sensorId, reference) {
+    var record = this.calibration.setOffset(sensorId, this._liveReading(sensorId), reference);
+    this.calibrationPending = null;
+    this._log('info', `Calibración ${this._sensorName(sensorId)}: offset ${record.offset.toFixed(4)} (${record.device})`);
+    return record;
+  }
+
+  /**
+   * Captura un punto de la calibración de dos puntos.
+   * El primero queda pendiente; con el segundo se guarda la calibración.
+   * @returns {Object|null} El registro al completar, null tras el primer punto
+   * @throws {Error} si no hay lectura del sensor o los puntos no sirven
+   */
+  captureCalibrationPoint(sensorId, reference) {
+    var point = { measured: this._liveReading(sensorId), reference: reference };
+    var pending = this.calibrationPending;
+
+    if (!pending || pending.sensorId !== sensorId) {
+      this.calibrationPending = { sensorId: sensorId, point: point };
+      this._log('info', `Calibración ${this._sensorName(sensorId)}: punto 1 = ${point.measured} → ${reference}`);
+      this._update();
+      return null;
+    }
+
+    var record = this.calibration.setTwoPoint(sensorId, pending.point, point);
+    this.calibrationPending = null;
+    this._log('info', `Calibración ${this._sensorName(sensorId)}: gain ${record.gain.toFixed(4)}, ` +
+      `offset ${record.offset.toFixed(4)} (${record.device})`);
+    return record;
+  }
+
+  cancelCalibration() {
+    this.calibrationPending = null;
+    this._update();
+  }
+
+  clearCalibration(sensorId) {
+    if (this.calibrationPending && this.calibrationPending.sensorId === sensorId) this.calibrationPending = null;
+    this.calibration.clear(sensorId);
+  }
+
+  /** @param {string} name - Perfil del equipo (se crea si no existe) */
+  setCalibrationDevice(name) {
+    this.calibrationPending = null;
+    this.calibration.setActiveDevice(name);
+  }
+
+  /** Empieza (o sigue) a grabar el recorrido GPS. */
+  startTrack() {
+    var gps = this.labdisc.sensorReport().find(r => r.id === GPS_SENSOR_ID);
+    if (this.labdisc.sensorIds.length > 0 && !gps) {
+      this._log('warn', 'Recorrido: este Labdisc no reporta GPS');
+    } else if (gps && !gps.active) {
+      this._log('warn', `Recorrido: el GPS no está activo a ${this.labdisc.effectiveHz} Hz (máx ${gps.maxHz} Hz)`);
+    }
+    this.trackRecording = true;
+    this._update();
+  }
+
+  stopTrack() {
+    this.trackRecording = false;
+    this._log('info', `Recorrido: ${this.track.points.length} puntos, ${Math.round(this.track.distanceM())} m`);
+    this._update();
+  }
+
+  clearTrack() {
+    this.track.clear();
+    this._update();
+  }
+
+  /**
+   * Unidad para mostrar un sensor.
+   * @param {string} key - unitKey(id, gpsField)
+   * @param {string} unit
+   * @param {string} baseUnit - Unidad del catálogo
+   */
+  setDisplayUnit(key, unit, baseUnit) {
+    this.units.setTarget(key, unit, baseUnit);
+    this._updateHeader();
+    this._refreshDisplay();
+  }
+
+  /** true = los enteros UART también van en la unidad elegida (cambia lo que recibe MakeCode) */
+  setUartUnitScaling(enabled) {
+    this.units.setScaleUart(enabled);
+    this._log('info', enabled
+      ? 'UART: valores en las unidades elegidas (revisá los programas MakeCode)'
+      : 'UART: valores en las unidades del catálogo');
+    this._updateHeader();
+    this._refreshDisplay();
+  }
+
+  /**
+   * Perfil de las líneas UART en uso.
+   * @param {string} name - STANDARD_LAYOUT o uno guardado
+   */
+  setUartLayout(name) {
+    this.layouts.setActive(name);
+    this._log('info', 'UART: perfil ' + name);
+  }
+
+  /**
+   * Guarda un perfil de líneas UART y lo deja en uso. Avisa si alguna
+   * línea puede pasar de LINE_MAX_BYTES (se guarda igual).
+   * @param {string} name
+   * @param {Object[][]} lines - Dos líneas de { id, gpsField?, factor }
+   * @returns {number[]} Largo de peor caso de cada línea
+   */
+  saveUartLayout(name, lines) {
+    this.layouts.save(name, lines);
+    var bytes = this.layouts.lines().map(entries => this.uartLineBytes(entries));
+    this._log('info', 'UART: perfil ' + this.layouts.activeName + ' guardado');
+    bytes.forEach((n, i) => {
+      if (n > LINE_MAX_BYTES) {
+        this._log('warn', `UART: la línea ${i === 0 ? 'A' : 'B'} puede llegar a ${n} bytes (máx ${LINE_MAX_BYTES}): la micro:bit la cortaría`);
+      }
+    });
+    return bytes;
+  }
+
+  removeUartLayout(name) {
+    this.layouts.remove(name);
+  }
+
+  /**
+   * Largo de peor caso de una línea (worstCaseBytes) con el sensor externo
+   * y las unidades con que se manda: el mayor entre los dos Labdisc.
+   * @param {Object[]} entries - Campos completos (layoutField)
+   * @returns {number}
+   */
+  uartLineBytes(entries) {
+    return Math.max(...this._extOverrides().map(ext => worstCaseBytes(entries, ext, this.units)));
+  }
+
+  /** Ídem para un campo (fieldMaxChars). */
+  uartFieldChars(entry) {
+    return Math.max(...this._extOverrides().map(ext => fieldMaxChars(entry, ext, this.units)));
+  }
+
   /** Manual start — works without micro:bit */
   async manualStartStream() {
     if (!this.labdisc.isConnected || this.labdisc.isStreaming) return;
     this._autoStarted = false;
     this._manualStop = false;  // ← usuario quiere streaming, desbloquear auto-start
-    this.labdisc.startPolling();
-    this.uartSentCount = 0;
+    await this.labdisc.startAcquisition();
+    this._resetUartStats();
     this._update();
   }
 
@@ -88,69 +488,441 @@ export class Bridge {
     if (!this.labdisc.isStreaming) return;
     this._autoStarted = false;
     this._manualStop = true;   // ← inhibir auto-start
-    this.labdisc.stopPolling();
+    await this.labdisc.stopAcquisition();
     this._log('info', 'Stream detenido manualmente');
     this._update();
   }
 
+  /**
+   * Arranca un registro en la memoria del Labdisc (ver LabdiscConnection.startLogging).
+   * @param {number[]} ids - Sensor IDs a registrar
+   * @param {number} rateIdx - Índice de RATE_TABLE
+   * @param {number} countIdx - Índice de COUNT_TABLE
+   */
+  async startLogging(ids, rateIdx, countIdx) {
+    var ok = await this.labdisc.startLogging(ids, rateIdx, countIdx);
+    this._update();
+    return ok;
+  }
+
+  async stopLogging() {
+    var ok = await this.labdisc.stopLogging();
+    this._update();
+    return ok;
+  }
+
+  // ─── Record / replay de sesiones seriales ───
+
+  startRecording() {
+    this.labdisc.startRecording();
+    this._update();
+  }
+
+  /** @returns {SerialRecorder|null} */
+  stopRecording() {
+    var rec = this.labdisc.stopRecording();
+    this._update();
+    return rec;
+  }
+
+  /**
+   * Reproduce una captura por todo el pipeline (parser → formatter → UI/micro:bit).
+   * @param {Object} capture - Resultado de parseCapture()
+   * @param {number} speed - 1 = tiempo original, Infinity = máximo
+   */
+  replayCapture(capture, speed) {
+    this.labdisc.replay(capture, speed);
+    this._update();
+  }
+
+  /** Sincroniza ahora el reloj del Labdisc con el del host. */
+  async syncClock() {
+    var ok = await this.labdisc.syncClock();
+    this._update();
+    return ok;
+  }
+
+  /**
+   * Lee la lista de experimentos guardados en el Labdisc.
+   * @returns {Promise<Object[]|null>} null si el Labdisc no contestó
+   *   (memoryUnread queda en true y memoryLog vacío)
+   */
+  async readDeviceMemory() {
+    if (this.memoryBusy) return this.memoryUnread ? null : this.memoryLog;
+    this.memoryBusy = true;
+    this._update();
+    var log = null;
+    try {
+      log = await this.labdisc.fetchExperimentLog();
+      this.memoryLog = log || [];
+      this.memoryUnread = log === null;
+      this.memoryTable = null;
+    } finally {
+      this.memoryBusy = false;
+      this._update();
+    }
+    return log;
+  }
+
+  /**
+   * Paso 1 del borrado: lee el log actual para mostrarlo (y exportarlo)
+   * antes de pedir confirmación.
+   */
+  async prepareClearMemory() {
+    this.memoryClear = null;
+    var log = await this.readDeviceMemory();
+    if (this.labdisc.state === ConnectionState.CONNECTED) {
+      // Sin respuesta no se sabe qué hay: se puede borrar igual, pero sin "ya está vacía"
+      this.memoryClear = { step: 'confirm', unread: log === null };
+    }
+    this._update();
+  }
+
+  cancelClearMemory() {
+    this.memoryClear = null;
+    this._update();
+  }
+
+  /**
+   * Paso 2: el usuario confirmó. Borra y verifica con un log nuevo.
+   * @returns {Promise<boolean>}
+   */
+  async clearDeviceMemory() {
+    if (!this.memoryClear || this.memoryClear.step !== 'confirm' || this.memoryBusy) return false;
+
+    this.memoryBusy = true;
+    this._update();
+    try {
+      var result = await this.labdisc.clearMemory();
+      if (result.log) this.memoryLog = result.log;
+      this.memoryUnread = !result.log;
+      this.memoryTable = null;
+      this.memoryClear = { step: 'done', ok: result.ok, unread: !result.log };
+      this._log(result.ok ? 'info' : 'err', result.ok
+        ? 'Memoria del Labdisc borrada y verificada'
+        : 'No se pudo verificar el borrado de la memoria');
+    } finally {
+      this.memoryBusy = false;
+      this._update();
+    }
+    return this.memoryClear.ok;
+  }
+
+  /**
+   * Descarga un experimento guardado y lo convierte a tabla.
+   * @param {number} index - record.index del registro 0x55
+   * @returns {Promise<Object|null>} Tabla de buildSampleTable, o null
+   */
+  async downloadExperiment(index) {
+    var record = this.memoryLog.find(function(r) { return r.index === index; });
+    if (!record || this.memoryBusy) return null;
+
+    this.memoryBusy = true;
+    this._update();
+    try {
+      var samples = await this.labdisc.downloadExperiment(record);
+      this.memoryTable = buildSampleTable(record, samples, this.labdisc.sensorIds);
+    } finally {
+      this.memoryBusy = false;
+      this._update();
+    }
+    return this.memoryTable;
+  }
+
   getState() {
     return {
       labdisc: this.labdisc.state,
-      microbit: this.microbit.state,
+      demo: this.isDemo,
+      microbits: this.microbits.map(function(m) {
+        return { id: m.id, name: m.name, state: m.state, stats: m.stats };
+      }),
       pollHz: this.labdisc.pollHz,
+      mode: this.labdisc.mode,
       sensorIds: this.labdisc.sensorIds,
       deviceStatus: this.labdisc.deviceStatus,
-      displayValues: this.displayValues,
-      lastUartLine: this.lastUartLine,
-      uartSentCount: this.uartSentCount,
+      labdisc2: this.labdisc2 ? this.labdisc2.state : null,
+      labdisc2Sensors: this.labdisc2 ? this.labdisc2.sensorIds.length : 0,
+      // Con dos equipos, cada valor lleva su etiqueta (device). Las
+      // calibraciones son del equipo activo, así que no se aplican al 2
+      displayValues: this.labdisc2
+        ? _withDevice(this.displayValues, 'Labdisc 1').concat(_withDevice(this.displayValues2, 'Labdisc 2 · sin calibrar'))
+        : this.displayValues,
+      lastUartLine: this.lastUartLine + (this.lastUartLine2 ? ' | ' + this.lastUartLine2 : ''),
       packetCount: this.labdisc.parser.packetCount,
       pollSentCount: this.labdisc._pollSentCount,
+      link: this.labdisc.linkStats.getStats(),
+      silenceMs: this.labdisc.watchdog.silenceMs(),
+      recording: this.labdisc.recorder !== null,
+      replaying: this.labdisc._activeMode === AcquisitionMode.REPLAY,
+      logging: this.labdisc.getLoggingProgress(),
+      memoryLog: this.memoryLog,
+      memoryUnread: this.memoryUnread,
+      memoryTable: this.memoryTable,
+      memoryBusy: this.memoryBusy,
+      memoryClear: this.memoryClear,
+      externalSensors: this.externalSensors.definitions,
+      externalOverride: this.labdisc.parser.externalSensorOverride,
+      calibrationDevice: this.calibration.activeDevice,
+      calibrationDevices: this.calibration.deviceNames(),
+      calibrations: this.calibration.active(),
+      calibrationPending: this.calibrationPending,
+      lastValues: this.lastValues,
+      effectiveHz: this.labdisc.effectiveHz,
+      trackRecording: this.trackRecording,
+      trackPoints: this.track.points.length,
+      sensorReport: this.labdisc.sensorReport(),
+      exclusivePairs: this.labdisc.parser.pairs.getState(),
+      units: { targets: this.units.targets, scaleUart: this.units.scaleUart },
+      uartLayout: this.layouts.activeName,
+      uartLayouts: this.layouts.names(),
+      uartLayoutBytes: this.layouts.lines().map(entries => this.uartLineBytes(entries)),
+      uartHeader: this._headerLines().map(function(line) { return line.trim(); }),
+      workbench: this.workbench.exchanges,
+      workbenchBusy: this.workbench.isBusy,
     };
   }
 
   // ─── Private: wire events ───
 
   _wireLabdisc() {
+    this.workbench.attach(this.labdisc);
+    this.labdisc.parser.externalRegistry = this.externalSensors;
+    this.labdisc.parser.calibration = this.calibration;
+
     this.labdisc.onStateChange = (state) => {
       this._log('info', `Labdisc: ${state}`);
+      if (state === ConnectionState.DISCONNECTED) {
+        this.memoryLog = [];
+        this.memoryUnread = false;
+        this.memoryTable = null;
+        this.memoryClear = null;
+        this.lastValues = null;
+        this.calibrationPending = null;
+      }
+      if (state === ConnectionState.STALLED) this._sendStale(1);
       this._checkAutoStream();
+      this._syncLabdisc2();
       this._update();
     };
 
     this.labdisc.onSensorIds = (ids) => {
       this._log('info', `Labdisc: ${ids.length} sensores detectados`);
+      this._updateHeader();  // puede haber cambiado el sensor externo
       this._update();
     };
 
     this.labdisc.onStatus = () => this._update();
 
+    this.labdisc.onPairSwitch = () => this._update();
+
     this.labdisc.onData = async (values, count) => {
       const extOverride = this.labdisc.parser.externalSensorOverride;
-      this.displayValues = formatForDisplay(values, extOverride);
+      this.lastValues = values;
+      if (this.trackRecording) this.track.add(values);
+      this.displayValues = formatForDisplay(values, extOverride, this.units, this.layouts.lines());
 
-      const lines = formatForUART(values, extOverride);
+      const lines = formatForUART(values, extOverride, this.units, 1, this.layouts.lines());
       this.lastUartLine = lines[0].trim() + ' | ' + lines[1].trim();
+      this._broadcast(lines, 1);
+
+      this._update();
+    };
+
+    this.labdisc.onLog = (type, msg) => this._log(type, `[Labdisc] ${msg}`);
+  }
 
-      if (this.microbit.isConnected) {
-        await this.microbit.send(lines[0]);
-        await this.microbit.send(lines[1]);
-        this.uartSentCount++;
+  _wireLabdisc2(second) {
+    second.onStateChange = (state) => {
+      this._log('info', `Labdisc 2: ${state}`);
+      if (state === ConnectionState.STALLED) this._sendStale(2);
+      if (state === ConnectionState.DISCONNECTED && this.labdisc2 === second && !second._reconnect) {
+        // reintentos agotados (o desconectado): deja de estar en el diagrama
+        this._dropLabdisc2(second);
       }
+      this._syncLabdisc2();
+      this._update();
+    };
+    second.onSensorIds = (ids) => {
+      this._log('info', `Labdisc 2: ${ids.length} sensores detectados`);
+      this._updateHeader();
+      this._update();
+    };
+    second.onStatus = () => this._update();
+    second.onPairSwitch = () => this._update();
+    second.onData = (values) => {
+      const extOverride = second.parser.externalSensorOverride;
+      this.lastValues2 = values;
+      this.displayValues2 = formatForDisplay(values, extOverride, this.units, this.layouts.lines());
+
+      const lines = formatForUART(values, extOverride, this.units, 2, this.layouts.lines());
+      this.lastUartLine2 = lines[0].trim() + ' | ' + lines[1].trim();
+      this._broadcast(lines, 2);
 
       this._update();
     };
+    second.onLog = (type, msg) => this._log(type, `[Labdisc 2] ${msg}`);
+  }
 
-    this.labdisc.onLog = (type, msg) => this._log(type, `[Labdisc] ${msg}`);
+  _dropLabdisc2(second) {
+    if (this.labdisc2 !== second) return;
+    second.onStateChange = null;
+    second.onData = null;
+    this.labdisc2 = null;
+    this.lastValues2 = null;
+    this.displayValues2 = [];
+    this.lastUartLine2 = '';
+    this._updateHeader();
+    this._update();
+  }
+
+  /**
+   * El segundo Labdisc sigue al primero: stream en curso o no (una
+   * captura reproducida no cuenta). Se llama en cada cambio de estado
+   * de cualquiera de los dos.
+   */
+  _syncLabdisc2() {
+    var second = this.labdisc2;
+    if (!second) return;
+    var want = this.labdisc.isStreaming && this.labdisc._activeMode !== AcquisitionMode.REPLAY;
+    if (want && second.state === ConnectionState.CONNECTED) {
+      second.startAcquisition();
+    } else if (!want && second.isStreaming) {
+      second.stopAcquisition();
+    }
   }
 
-  _wireMicrobit() {
-    this.microbit.onStateChange = (state) => {
-      this._log('info', `micro:bit: ${state}`);
+  _wireMicrobit(microbit) {
+    microbit.onStateChange = (state) => {
+      this._log('info', `micro:bit${microbit.device ? ' ' + microbit.name : ''}: ${state}`);
+      if (state === BleState.DISCONNECTED) {
+        this.microbits = this.microbits.filter(m => m !== microbit);
+      }
+      if (state === BleState.CONNECTED) this._sendHeader(microbit);
       this._checkAutoStream();
       this._update();
     };
-    this.microbit.onReceive = (text) => this._log('rx', `[micro:bit] ${text.trim()}`);
-    this.microbit.onLog = (type, msg) => this._log(type, `[BLE] ${msg}`);
+    microbit.onReceive = (line) => {
+      this._log('rx', `[micro:bit ${microbit.name}] ${line}`);
+      this._handleCommand(microbit, line);
+    };
+    microbit.onLog = (type, msg) => this._log(type, `[BLE ${microbit.name}] ${msg}`);
+  }
+
+  /**
+   * Ejecuta un comando recibido de una micro:bit y le contesta ACK/ERR.
+   * @param {MicrobitBLE} microbit
+   * @param {string} line
+   */
+  async _handleCommand(microbit, line) {
+    var cmd;
+    try {
+      cmd = parseCommand(line);
+    } catch (e) {
+      microbit.reply(errLine(e.command, e.message));
+      return;
+    }
+
+    if (cmd.name === Command.PING) {
+      microbit.reply(ackLine(cmd.name));
+      return;
+    }
+    if (cmd.name === Command.HEADER) {
+      this._sendHeader(microbit);
+      microbit.reply(ackLine(cmd.name));
+      return;
+    }
+    if (!this.labdisc.isConnected) {
+      microbit.reply(errLine(cmd.name, 'SIN LABDISC'));
+      return;
+    }
+
+    switch (cmd.name) {
+      case Command.HZ:
+        this.setHz(cmd.args[0]);
+        microbit.reply(ackLine(cmd.name, this.labdisc.effectiveHz));
+        break;
+
+      case Command.START:
+        if (this.labdisc.sensorIds.length === 0) {
+          microbit.reply(errLine(cmd.name, 'SIN SENSORES'));
+          return;
+        }
+        await this.manualStartStream();
+        if (!this.labdisc.isStreaming) {
+          // registro en memoria en curso, o el Labdisc no contestó el arranque
+          var why = this.labdisc.state === ConnectionState.LOGGING ? 'REGISTRANDO' : 'NO INICIO';
+          microbit.reply(errLine(cmd.name, why));
+          return;
+        }
+        microbit.reply(ackLine(cmd.name));
+        break;
+
+      case Command.STOP:
+        await this.manualStopStream();
+        if (this.labdisc.isStreaming) {
+          microbit.reply(errLine(cmd.name, 'NO DETENIDO'));
+          return;
+        }
+        microbit.reply(ackLine(cmd.name));
+        break;
+
+      case Command.ONLY: {
+        var known = this.labdisc.sensorIds;
+        var missing = cmd.args ? cmd.args.filter(function(id) { return known.indexOf(id) === -1; }) : [];
+        if (missing.length > 0) {
+          microbit.reply(errLine(cmd.name, 'SIN ' + missing.join(' ')));
+          return;
+        }
+        this.setSelectedSensors(cmd.args);
+        microbit.reply(ackLine(cmd.name, cmd.args ? cmd.args.join(',') : 'ALL'));
+        break;
+      }
+    }
+  }
+
+  /** Sensor externo de cada Labdisc (null si no hay), para el factor UART */
+  _extOverrides() {
+    var list = [this.labdisc.parser.externalSensorOverride];
+    if (this.labdisc2) list.push(this.labdisc2.parser.externalSensorOverride);
+    return list;
+  }
+
+  /** Encabezado de las líneas que se están mandando (A/B, y C/D con Labdisc 2) */
+  _headerLines() {
+    var layout = this.layouts.lines();
+    var lines = formatHeader(this.labdisc.parser.externalSensorOverride, this.units, 1, layout);
+    if (this.labdisc2) lines = lines.concat(formatHeader(this.labdisc2.parser.externalSensorOverride, this.units, 2, layout));
+    return lines;
+  }
+
+  /** Encabezado a una micro:bit, antes de su próximo paquete de datos. */
+  _sendHeader(microbit) {
+    var lines = this._headerLines();
+    if (this._lastHeader === null) this._lastHeader = lines.join('');
+    lines.forEach(function(line) { microbit.reply(line); });
+  }
+
+  /** Si cambió el encabezado, a todas las micro:bits conectadas. */
+  _updateHeader() {
+    if (this._lastHeader === null) return;  // todavía no lo recibió ninguna
+    var text = this._headerLines().join('');
+    if (text === this._lastHeader) return;
+    this._lastHeader = text;
+    if (this.microbits.length > 0) this._log('info', 'UART: encabezado nuevo enviado a las micro:bits');
+    this.microbits.forEach(m => this._sendHeader(m));
+  }
+
+  /**
+   * Mismo paquete a todas las micro:bits conectadas, sin esperar a ninguna.
+   * @param {string[]} lines
+   * @param {number} device - 1 o 2 (cada Labdisc tiene su lugar pendiente)
+   */
+  _broadcast(lines, device) {
+    this.microbits.forEach(function(m) { m.post(lines, device); });
+  }
+
+  _resetUartStats() {
+    this.microbits.forEach(function(m) { m.resetStats(); });
   }
 
   // ─── Auto-stream logic ───
@@ -160,38 +932,84 @@ export class Bridge {
    * 
    * Reglas:
    *   1. Ambos conectados + no streaming + no inhibido → auto-start
-   *   2. micro:bit perdida + auto-started → auto-stop + reset _manualStop
+   *   2. Sin micro:bits + auto-started → auto-stop + reset _manualStop
+   *      (RECONNECTING no cuenta como perdida: tras un reflash el stream
+   *      sigue y la micro:bit vuelve a recibir apenas reconecta)
    * 
    * El flag _manualStop impide que la regla 1 se active después de que
    * el usuario detuvo explícitamente el stream. Esto evita el bug donde
    * Stop parecía no funcionar (se re-iniciaba inmediatamente).
    * 
    * _manualStop se resetea cuando:
-   *   - La micro:bit se desconecta (regla 2) → próxima reconexión inicia limpio
+   *   - Se desconecta la última micro:bit (regla 2) → próxima reconexión inicia limpio
    *   - El usuario hace manualStartStream() → explícitamente quiere streaming
    */
   _checkAutoStream() {
     const labReady = this.labdisc.state === ConnectionState.CONNECTED;
-    const microReady = this.microbit.state === BleState.CONNECTED;
+    const microReady = this.microbits.some(m => m.state === BleState.CONNECTED);
+    const microLost = this.microbits.length === 0;
     const streaming = this.labdisc.isStreaming;
 
     // Regla 1: Both connected + not streaming + not inhibited → auto-start
     if (labReady && microReady && !streaming && !this._manualStop && this.labdisc.sensorIds.length > 0) {
       this._log('info', 'Ambos conectados — auto-start polling');
       this._autoStarted = true;
-      this.labdisc.startPolling();
-      this.uartSentCount = 0;
+      this.labdisc.startAcquisition();
+      this._resetUartStats();
     }
 
     // Regla 2: micro:bit lost + was auto-started → auto-stop
-    if (!microReady && streaming && this._autoStarted) {
-      this._log('info', 'micro:bit perdida — auto-stop polling');
+    if (microLost && streaming && this._autoStarted) {
+      this._log('info', 'Sin micro:bits — auto-stop polling');
       this._autoStarted = false;
       this._manualStop = false;  // ← reset para que al reconectar funcione auto-start
-      this.labdisc.stopPolling();
+      this.labdisc.stopAcquisition();
     }
   }
 
+  /**
+   * Stream sin datos (STALLED): la micro:bit recibe "sin dato" (-9999) en
+   * todos los campos en lugar de quedarse con los últimos valores como
+   * si fueran actuales.
+   * @param {number} device - 1 o 2 (líneas A/B o C/D)
+   */
+  _sendStale(device) {
+    const lines = formatForUART({}, null, null, device, this.layouts.lines());
+    const text = lines[0].trim() + ' | ' + lines[1].trim();
+    if (device === 2) this.lastUartLine2 = text;
+    else this.lastUartLine = text;
+    this._broadcast(lines, device);
+    this._update();
+  }
+
+  /** Lectura sin calibrar del último dato recibido */
+  _liveReading(sensorId) {
+    var data = this.lastValues && this.lastValues[sensorId];
+    if (!data || data.noData || data.value === null || data.value === undefined) {
+      throw new Error(`Sin lectura de ${this._sensorName(sensorId)}: iniciá el stream`);
+    }
+    return data.uncalibrated !== undefined ? data.uncalibrated : data.value;
+  }
+
+  /** Re-formatea el último dato (cambio de unidades sin esperar el próximo paquete) */
+  _refreshDisplay() {
+    if (this.lastValues) {
+      this.displayValues = formatForDisplay(this.lastValues, this.labdisc.parser.externalSensorOverride, this.units, this.layouts.lines());
+    }
+    if (this.labdisc2 && this.lastValues2) {
+      this.displayValues2 = formatForDisplay(this.lastValues2, this.labdisc2.parser.externalSensorOverride, this.units, this.layouts.lines());
+    }
+    this._update();
+  }
+
+  _sensorName(sensorId) {
+    return SENSORS[sensorId] ? SENSORS[sensorId].name : `ID ${sensorId}`;
+  }
+
   _update() { if (this.onUpdate) this.onUpdate(); }
   _log(type, msg) { if (this.onLog) this.onLog(type, msg); }
-}
\ No newline at end of file
+}
+
+function _withDevice(values, device) {
+  return values.map(function(v) { return Object.assign({ device: device }, v); });
+}
@@ -0,0 +1,85 @@
+/**
+ * commands.js — Comandos de texto micro:bit → Bridge (UART RX)
+ *
+ * Los programas MakeCode pueden controlar el experimento con los botones
+ * de la micro:bit (bluetooth.uartWriteLine). Una línea por comando, con
+ * los campos separados por coma como las líneas de datos:
+ *
+ *   PING          → ACK,PING
+ *   HZ,10         → ACK,HZ,10       (frecuencia efectiva: en push se redondea a 1/10/25)
+ *   START         → ACK,START       (igual que el botón Stream)
+ *   STOP          → ACK,STOP
+ *   ONLY,30,6     → ACK,ONLY,30,6   (solo esos sensores; ONLY o ONLY,ALL = todos)
+ *   HEADER        → líneas H,... y ACK,HEADER (encabezado, ver formatHeader)
+ *
+ * Errores: ERR,<comando>,<motivo>, ej. ERR,HZ,RANGO. Motivos cortos, en
+ * mayúsculas y sin acentos: la micro:bit los puede mostrar en los LEDs.
+ * Sin Labdisc conectado todo menos PING y HEADER contesta ERR,<comando>,SIN LABDISC.
+ */
+
+export const Command = Object.freeze({
+  PING:  'PING',
+  HZ:    'HZ',
+  START: 'START',
+  STOP:  'STOP',
+  ONLY:  'ONLY',
+  HEADER: 'HEADER',
+});
+
+/** Rango aceptado por HZ (el mismo del selector de Polling) */
+export const HZ_MIN = 1;
+export const HZ_MAX = 25;
+
+/**
+ * Lee una línea recibida.
+ * @param {string} line - Ej. "HZ,10" (sin el \n)
+ * @returns {{name: string, args: (number[]|null)}} args: Hz (HZ) o IDs
+ *   (ONLY, null = todos); vacío para el resto
+ * @throws {Error} con el motivo para el ERR (message) y el comando (command)
+ */
+export function parseCommand(line) {
+  var fields = String(line).trim().toUpperCase().split(',').map(function(f) { return f.trim(); });
+  var name = fields[0];
+  var rest = fields.slice(1).filter(Boolean);
+
+  switch (name) {
+    case Command.PING:
+    case Command.HEADER:
+    case Command.START:
+    case Command.STOP:
+      return { name: name, args: [] };
+
+    case Command.HZ: {
+      var hz = Number(rest[0]);
+      if (rest.length !== 1 || !Number.isFinite(hz)) throw _error(name, 'FALTA HZ');
+      if (hz < HZ_MIN || hz > HZ_MAX) throw _error(name, 'RANGO');
+      return { name: name, args: [hz] };
+    }
+
+    case Command.ONLY: {
+      if (rest.length === 0 || (rest.length === 1 && rest[0] === 'ALL')) return { name: name, args: null };
+      var ids = rest.map(Number);
+      if (!ids.every(Number.isInteger)) throw _error(name, 'ID INVALIDO');
+      return { name: name, args: ids };
+    }
+
+    default:
+      throw _error(name || '?', 'DESCONOCIDO');
+  }
+}
+
+/** "ACK,HZ,10\n" */
+export function ackLine(name, detail) {
+  return 'ACK,' + name + (detail !== undefined && detail !== '' ? ',' + detail : '') + '\n';
+}
+
+/** "ERR,HZ,RANGO\n" */
+export function errLine(name, reason) {
+  return 'ERR,' + name + ',' + reason + '\n';
+}
+
+function _error(name, reason) {
+  var e = new Error(reason);
+  e.command = name;
+  return e;
+}
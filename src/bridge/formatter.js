@@ -15,49 +15,112 @@
  * 
  * GPS precision reduced from ÷100000 to ÷10000 (4 decimals, ~11m accuracy)
  * to keep line B under 62 bytes in worst case.
+ *
+ * Con un segundo Labdisc conectado, sus datos salen con el mismo orden
+ * pero con prefijos C, y D, (ver UART_DEVICE_PREFIXES): el programa
+ * MakeCode sabe de qué equipo viene cada línea.
+ *
+ * Qué campos lleva cada línea lo decide el perfil en uso (uart-layout.js);
+ * sin perfil, UART_ORDER_A / UART_ORDER_B.
+ *
+ * Encabezado (formatHeader): describe cada línea para que la micro:bit
+ * decodifique por ID de sensor y no por posición. Por línea de datos,
+ * una o más líneas H (cortadas para no pasar de LINE_MAX_BYTES):
+ *
+ *   H,<versión>,<línea>,<campos>,<desde>,<id>:<factor>,<id>:<factor>...
+ *   H,1,A,8,0,30:10,6:10,20:1,26:10,2:100,25:1000,21:10,13:10
+ *   H,1,B,8,0,27:1000,28:1000,33:1000,32:1000,7.lat:100000
+ *   H,1,B,8,5,7.lon:100000,7.vel:10,7.ang:10
+ *
+ * <campos> es el total de la línea y <desde> la posición del primer campo
+ * de ese pedazo. El factor es el real (sensor externo y unidades UART
+ * incluidos): valor = entero / factor. Los campos del GPS van como 7.lat.
  */
 
 import { SENSORS, UART_ORDER_A, UART_ORDER_B, NO_DATA_VALUE } from '../labdisc/sensors.js';
+import { unitKey, fieldScale } from './units.js';
+import { LINE_MAX_BYTES } from './uart-layout.js';
+
+/** Versión del formato de las líneas UART (primer campo del encabezado) */
+export const UART_PROTOCOL_VERSION = 1;
+
+/** Prefijos de las dos líneas UART por equipo: Labdisc 1 → A/B, Labdisc 2 → C/D */
+export const UART_DEVICE_PREFIXES = Object.freeze({
+  1: ['A', 'B'],
+  2: ['C', 'D'],
+});
 
 /**
  * Format sensor values into two UART CSV lines.
  * 
  * @param {Object} values - Parsed sensor values from LabdiscParser.onData
  * @param {Object|null} extOverride - External sensor override (from parser)
+ * @param {UnitSettings} [units] - Solo se aplica si units.scaleUart (opt-in)
+ * @param {number} [device=1] - 1 o 2 (ver UART_DEVICE_PREFIXES)
+ * @param {Object[][]} [layout] - [línea A, línea B] (UartLayoutStore.lines())
  * @returns {string[]} Array of two lines: ["A,...\n", "B,...\n"]
  */
-export function formatForUART(values, extOverride) {
-  var lineA = 'A,' + _formatFields(values, UART_ORDER_A, extOverride).join(',') + '\n';
-  var lineB = 'B,' + _formatFields(values, UART_ORDER_B, extOverride).join(',') + '\n';
+export function formatForUART(values, extOverride, units, device, layout) {
+  var scale = units && units.scaleUart ? units : null;
+  var prefix = UART_DEVICE_PREFIXES[device || 1];
+  var lines = layout || [UART_ORDER_A, UART_ORDER_B];
+  var lineA = prefix[0] + ',' + _formatFields(values, lines[0], extOverride, scale).join(',') + '\n';
+  var lineB = prefix[1] + ',' + _formatFields(values, lines[1], extOverride, scale).join(',') + '\n';
   return [lineA, lineB];
 }
 
-function _formatFields(values, order, extOverride) {
+/**
+ * Líneas del encabezado de un equipo (ver arriba).
+ *
+ * @param {Object|null} extOverride - External sensor override (from parser)
+ * @param {UnitSettings} [units] - Solo se aplica si units.scaleUart
+ * @param {number} [device=1] - 1 o 2 (ver UART_DEVICE_PREFIXES)
+ * @param {Object[][]} [layout] - [línea A, línea B] (UartLayoutStore.lines())
+ * @returns {string[]} ["H,1,A,...\n", ...]
+ */
+export function formatHeader(extOverride, units, device, layout) {
+  var scale = units && units.scaleUart ? units : null;
+  var prefix = UART_DEVICE_PREFIXES[device || 1];
+  var lines = layout || [UART_ORDER_A, UART_ORDER_B];
+  var out = [];
+
+  for (var n = 0; n < lines.length; n++) {
+    var fields = lines[n].map(function(entry) {
+      return unitKey(entry.id, entry.gpsField) + ':' + fieldScale(entry, extOverride, scale).factor;
+    });
+    var start = 0;
+    do {
+      var line = 'H,' + UART_PROTOCOL_VERSION + ',' + prefix[n] + ',' + fields.length + ',' + start;
+      var i = start;
+      // Siempre al menos un campo por pedazo (uno solo nunca pasa del límite)
+      while (i < fields.length && (i === start || line.length + fields[i].length + 2 <= LINE_MAX_BYTES)) {
+        line += ',' + fields[i];
+        i++;
+      }
+      out.push(line + '\n');
+      start = i;
+    } while (start < fields.length);
+  }
+  return out;
+}
+
+function _formatFields(values, order, extOverride, units) {
   var parts = [];
   for (var i = 0; i < order.length; i++) {
     var entry = order[i];
     var data = values[entry.id];
+    var scale = fieldScale(entry, extOverride, units);
+    var factor = scale.factor;
+    var conv = scale.conv;
 
-    // Use external sensor factor if this entry is overridden
-    var factor = entry.factor;
-    if (extOverride && entry.id === extOverride.replacesId && !entry.gpsField) {
-      factor = extOverride.factor;
-    }
-
-    if (entry.gpsField) {
-      var gpsValue = _extractGPSField(data, entry.gpsField);
-      if (gpsValue === null) {
-        parts.push(NO_DATA_VALUE);
-      } else {
-        parts.push(Math.round(gpsValue * entry.factor));
-      }
-      continue;
-    }
+    var value = entry.gpsField ? _extractGPSField(data, entry.gpsField)
+      : (!data || data.noData || data.value === null || data.value === undefined) ? null
+      : data.value;
 
-    if (!data || data.noData || data.value === null || data.value === undefined) {
+    if (value === null) {
       parts.push(NO_DATA_VALUE);
     } else {
-      parts.push(Math.round(data.value * factor));
+      parts.push(Math.round((conv ? conv.convert(value) : value) * factor));
     }
   }
   return parts;
@@ -65,9 +128,16 @@ function _formatFields(values, order, extOverride) {
 
 /**
  * Format sensor values for human-readable debug display.
+ * Los sensores fuera de la máscara activa (excluded) y el lado inactivo
+ * de un par exclusivo (inactivePair) se muestran como 'off'.
+ * @param {Object} values
+ * @param {Object|null} extOverride
+ * @param {UnitSettings} [units] - Unidades elegidas para mostrar
+ * @param {Object[][]} [layout] - Los campos del perfil UART en uso
  */
-export function formatForDisplay(values, extOverride) {
-  var allOrder = UART_ORDER_A.concat(UART_ORDER_B);
+export function formatForDisplay(values, extOverride, units, layout) {
+  var lines = layout || [UART_ORDER_A, UART_ORDER_B];
+  var allOrder = lines[0].concat(lines[1]);
   var result = [];
 
   for (var i = 0; i < allOrder.length; i++) {
@@ -78,11 +148,23 @@ export function formatForDisplay(values, extOverride) {
     var displayName = entry.name;
     var displayUnit = entry.unit;
     var displayDec = sensor ? sensor.dec : 1;
-    if (extOverride && entry.id === extOverride.replacesId && !entry.gpsField) {
+    var overridden = extOverride && entry.id === extOverride.replacesId && !entry.gpsField;
+    if (overridden) {
       displayName = extOverride.name;
       displayUnit = extOverride.unit;
       displayDec = extOverride.dec;
     }
+    if (entry.gpsField) {
+      displayDec = (entry.gpsField === 'lat' || entry.gpsField === 'lon') ? 5 : 1;
+    }
+
+    var conv = units && !overridden
+      ? units.resolve(unitKey(entry.id, entry.gpsField), entry.unit, entry.factor, displayDec)
+      : null;
+    if (conv) {
+      displayUnit = conv.unit;
+      displayDec = conv.dec;
+    }
 
     if (entry.gpsField) {
       var data = values[entry.id];
@@ -90,13 +172,13 @@ export function formatForDisplay(values, extOverride) {
 
       if (gpsValue === null) {
         result.push({
-          id: entry.id, name: displayName, value: 'n/c',
+          id: entry.id, name: displayName, value: data && (data.excluded || data.inactivePair) ? 'off' : 'n/c',
           unit: displayUnit || '', hasData: false,
         });
       } else {
-        var decimals = (entry.gpsField === 'lat' || entry.gpsField === 'lon') ? 5 : 1;
         result.push({
-          id: entry.id, name: displayName, value: gpsValue.toFixed(decimals),
+          id: entry.id, name: displayName,
+          value: (conv ? conv.convert(gpsValue) : gpsValue).toFixed(displayDec),
           unit: displayUnit || '', hasData: true,
         });
       }
@@ -108,13 +190,13 @@ export function formatForDisplay(values, extOverride) {
 
     if (!data || data.noData || data.value === null) {
       result.push({
-        id: entry.id, name: displayName, value: 'n/c',
+        id: entry.id, name: displayName, value: data && (data.excluded || data.inactivePair) ? 'off' : 'n/c',
         unit: displayUnit, hasData: false,
       });
     } else {
       result.push({
         id: entry.id, name: displayName,
-        value: data.value.toFixed(displayDec),
+        value: (conv ? conv.convert(data.value) : data.value).toFixed(displayDec),
         unit: displayUnit, hasData: true,
       });
     }
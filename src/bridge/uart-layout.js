@@ -0,0 +1,276 @@
+/**
+ * uart-layout.js — Perfiles de las líneas UART (qué campo va en cada posición)
+ *
+ * UART_ORDER_A / UART_ORDER_B (sensors.js) son el perfil "Estándar": el
+ * que esperan los programas MakeCode existentes, y no se puede editar.
+ * Un perfil propio elige qué campos van en cada línea, en qué orden y
+ * con qué factor (ej. UV, Temp IR, Barómetro o los ejes del acelerómetro,
+ * que el estándar no manda). Se guardan con nombre en localStorage:
+ *
+ *   { lines: [[{ id: 30, factor: 10 }, { id: 7, gpsField: 'lat', factor: 100000 }], [...]] }
+ *
+ * Las mismas dos líneas valen para los dos Labdisc (A/B y C/D).
+ *
+ * La micro:bit corta las líneas de más de ~62 bytes: worstCaseBytes()
+ * calcula el largo con el peor valor posible de cada campo (el extremo
+ * del rango crudo de 16 bits, o -9999), con el mismo factor que usa el
+ * formatter (sensor externo en el slot, unidades con scaleUart).
+ */
+
+import { SENSORS, UART_ORDER_A, UART_ORDER_B, NO_DATA_VALUE } from '../labdisc/sensors.js';
+import { unitKey, fieldScale } from './units.js';
+
+/** Largo máximo de una línea, con prefijo y \n (buffer UART de la micro:bit) */
+export const LINE_MAX_BYTES = 62;
+
+/** Factores permitidos (potencias de 10: la micro:bit divide para recuperar el valor) */
+export const UART_FACTORS = Object.freeze([1, 10, 100, 1000, 10000, 100000]);
+
+/** Perfil fijo con UART_ORDER_A / UART_ORDER_B */
+export const STANDARD_LAYOUT = 'Estándar';
+
+/** Campos del GPS (ID 7) con su rango, para el peor caso */
+export const GPS_FIELDS = Object.freeze({
+  lat: { name: 'GPS Lat',    unit: '°',    factor: 100000, min: -90,  max: 90 },
+  lon: { name: 'GPS Lon',    unit: '°',    factor: 100000, min: -180, max: 180 },
+  vel: { name: 'GPS Vel',    unit: 'km/h', factor: 10,     min: 0,    max: 6553.5 },
+  ang: { name: 'GPS Ángulo', unit: '°',    factor: 10,     min: 0,    max: 360 },
+});
+
+/** Clave de localStorage */
+const STORAGE_KEY = 'labdisc.uartLayouts';
+
+/** Rango de cada fórmula convert (calcularlo recorre los 65536 valores crudos) */
+const _ranges = new WeakMap();
+
+/**
+ * Entrada completa de una línea (como las de UART_ORDER).
+ * @param {number} id
+ * @param {string} [gpsField] - lat/lon/vel/ang (solo ID 7)
+ * @param {number} [factor] - Default: el del catálogo
+ * @returns {{id: number, name: string, factor: number, unit: string, gpsField: (string|undefined)}}
+ */
+export function layoutField(id, gpsField, factor) {
+  id = Number(id);
+  var base = gpsField ? (id === 7 && GPS_FIELDS.hasOwnProperty(gpsField) ? GPS_FIELDS[gpsField] : null)
+    : (id !== 7 ? SENSORS[id] : null);
+  if (!base) throw new Error('Campo desconocido: ' + unitKey(id, gpsField));
+
+  var f = factor !== undefined ? Number(factor) : base.factor;
+  if (UART_FACTORS.indexOf(f) === -1) throw new Error(`Factor inválido para ${base.name}: ${factor}`);
+
+  var entry = { id: id, name: base.name, factor: f, unit: base.unit };
+  if (gpsField) entry.gpsField = gpsField;
+  return entry;
+}
+
+/** Todos los campos que se pueden poner en una línea (catálogo + campos del GPS) */
+export function availableFields() {
+  var fields = Object.keys(SENSORS).map(Number)
+    .filter(function(id) { return SENSORS[id].convert; })
+    .map(function(id) { return layoutField(id); });
+  return fields.concat(Object.keys(GPS_FIELDS).map(function(g) { return layoutField(7, g); }));
+}
+
+/**
+ * Caracteres del entero más largo que puede mandar un campo (incluye -9999).
+ * @param {Object} entry
+ * @param {Object|null} [extOverride] - parser.externalSensorOverride
+ * @param {UnitSettings} [units] - Solo cuenta si units.scaleUart
+ */
+export function fieldMaxChars(entry, extOverride, units) {
+  var scale = fieldScale(entry, extOverride || null, units && units.scaleUart ? units : null);
+  var r = entry.gpsField ? GPS_FIELDS[entry.gpsField]
+    : _range(scale.overridden ? extOverride.convert : SENSORS[entry.id].convert);
+  var min = scale.conv ? scale.conv.convert(r.min) : r.min;
+  var max = scale.conv ? scale.conv.convert(r.max) : r.max;
+  return Math.max(
+    String(Math.round(min * scale.factor)).length,
+    String(Math.round(max * scale.factor)).length,
+    String(NO_DATA_VALUE).length);
+}
+
+/**
+ * Largo de una línea en el peor caso: "A," + campos + comas + "\n".
+ * @param {Object[]} entries
+ * @param {Object|null} [extOverride] - parser.externalSensorOverride
+ * @param {UnitSettings} [units] - Solo cuenta si units.scaleUart
+ */
+export function worstCaseBytes(entries, extOverride, units) {
+  var total = 2 + Math.max(0, entries.length - 1) + 1;  // "A," + comas + \n
+  for (var i = 0; i < entries.length; i++) total += fieldMaxChars(entries[i], extOverride, units);
+  return total;
+}
+
+export class UartLayoutStore {
+  /**
+   * @param {Storage} [storage] - Default: localStorage si existe
+   */
+  constructor(storage) {
+    this._storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    /** Perfil en uso */
+    this.activeName = STANDARD_LAYOUT;
+
+    /** @type {Object<string, {lines: Object[][]}>} nombre → perfil (sin el Estándar) */
+    this.profiles = {};
+
+    /** Líneas del perfil en uso ya resueltas (se piden en cada paquete) */
+    this._activeLines = null;
+
+    /** @type {function()} Cambió el perfil en uso o su contenido */
+    this.onChange = null;
+
+    /** Perfiles guardados que load() descartó, con el motivo (para el log) */
+    this.loadWarnings = [];
+
+    this.load();
+  }
+
+  /**
+   * Lee los perfiles guardados. Cada uno se valida igual que en save():
+   * los que no pasan (campo o factor desconocido, de otra versión o
+   * editado a mano) se descartan y quedan en loadWarnings. Si el
+   * descartado era el perfil en uso, queda el Estándar.
+   */
+  load() {
+    this.profiles = {};
+    this.activeName = STANDARD_LAYOUT;
+    this._activeLines = null;
+    this.loadWarnings = [];
+    if (!this._storage) return;
+
+    var data = null;
+    try {
+      data = JSON.parse(this._storage.getItem(STORAGE_KEY) || 'null');
+    } catch (e) {
+      this.loadWarnings.push('Perfiles UART ilegibles, se usa el ' + STANDARD_LAYOUT);
+      return;
+    }
+    if (!data || !data.profiles) return;
+
+    for (var name in data.profiles) {
+      try {
+        if (name === STANDARD_LAYOUT) throw new Error('nombre reservado');
+        this.profiles[name] = { lines: _storedLines(data.profiles[name] && data.profiles[name].lines) };
+      } catch (e) {
+        this.loadWarnings.push(`Perfil UART ${name} descartado: ${e.message}` +
+          (name === data.activeName ? `. Se usa el ${STANDARD_LAYOUT}` : ''));
+      }
+    }
+    if (this.profiles[data.activeName]) this.activeName = data.activeName;
+  }
+
+  /** Nombres de los perfiles, el Estándar primero */
+  names() {
+    return [STANDARD_LAYOUT].concat(Object.keys(this.profiles).sort());
+  }
+
+  /**
+   * Líneas de un perfil, con las entradas completas (ver layoutField).
+   * @param {string} [name] - Default: el perfil en uso
+   * @returns {Object[][]} [línea A, línea B]
+   */
+  lines(name) {
+    if (name === undefined || name === this.activeName) {
+      if (!this._activeLines) this._activeLines = this._resolve(this.activeName);
+      return this._activeLines;
+    }
+    return this._resolve(name);
+  }
+
+  setActive(name) {
+    if (name !== STANDARD_LAYOUT && !this.profiles[name]) throw new Error('No existe el perfil ' + name);
+    this.activeName = name;
+    this._save();
+  }
+
+  /**
+   * Guarda (o reemplaza) un perfil y lo deja en uso.
+   * @param {string} name
+   * @param {Object[][]} lines - Dos líneas de { id, gpsField?, factor }
+   * @throws {Error} Nombre reservado, línea vacía, campo repetido o desconocido
+   */
+  save(name, lines) {
+    name = String(name || '').trim();
+    if (!name) throw new Error('Falta el nombre del perfil');
+    if (name === STANDARD_LAYOUT) throw new Error(`El perfil ${STANDARD_LAYOUT} no se puede modificar: guardalo con otro nombre`);
+
+    this.profiles[name] = { lines: _storedLines(lines) };
+    this.activeName = name;
+    this._save();
+  }
+
+  /** Borra un perfil propio (si estaba en uso, vuelve al Estándar). */
+  remove(name) {
+    if (!this.profiles[name]) return;
+    delete this.profiles[name];
+    if (this.activeName === name) this.activeName = STANDARD_LAYOUT;
+    this._save();
+  }
+
+  // ─── Private ───
+
+  /** Nunca tira: se llama en cada paquete (si algo falla, el Estándar) */
+  _resolve(name) {
+    var profile = this.profiles[name];
+    if (profile) {
+      try {
+        return profile.lines.map(function(line) {
+          return line.map(function(f) { return layoutField(f.id, f.gpsField, f.factor); });
+        });
+      } catch (e) {
+        // load() y save() ya validan: solo si se tocó profiles desde afuera
+      }
+    }
+    return [UART_ORDER_A, UART_ORDER_B];
+  }
+
+  _save() {
+    this._activeLines = null;
+    if (this._storage) {
+      this._storage.setItem(STORAGE_KEY, JSON.stringify({ activeName: this.activeName, profiles: this.profiles }));
+    }
+    if (this.onChange) this.onChange();
+  }
+}
+
+/**
+ * Líneas de un perfil como se guardan, validadas (save y load).
+ * @param {Object[][]} lines
+ * @returns {Object[][]}
+ * @throws {Error} Línea vacía, campo repetido o desconocido, factor inválido
+ */
+function _storedLines(lines) {
+  if (!Array.isArray(lines) || lines.length !== 2) throw new Error('Un perfil tiene dos líneas');
+
+  var seen = {};
+  return lines.map(function(line, n) {
+    if (!Array.isArray(line) || line.length === 0) throw new Error(`La línea ${n === 0 ? 'A' : 'B'} no tiene campos`);
+    return line.map(function(f) {
+      var entry = layoutField(f && f.id, f && f.gpsField, f && f.factor);
+      var key = unitKey(entry.id, entry.gpsField);
+      if (seen[key]) throw new Error('Campo repetido: ' + entry.name);
+      seen[key] = true;
+      return entry.gpsField
+        ? { id: entry.id, gpsField: entry.gpsField, factor: entry.factor }
+        : { id: entry.id, factor: entry.factor };
+    });
+  });
+}
+
+/** Mínimo y máximo de convert() sobre todo el rango crudo de 16 bits */
+function _range(convert) {
+  if (!_ranges.has(convert)) {
+    var min = Infinity;
+    var max = -Infinity;
+    for (var raw = 0; raw <= 0xFFFF; raw++) {
+      var v = convert(raw);
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    // Fórmula de usuario que no da números: cuenta solo el -9999
+    _ranges.set(convert, min <= max ? { min: min, max: max } : { min: 0, max: 0 });
+  }
+  return _ranges.get(convert);
+}
@@ -0,0 +1,155 @@
+/**
+ * units.js — Unidades de visualización seleccionables por sensor
+ *
+ * El catálogo (SENSORS) trae una unidad por sensor (°C, hPa, kPa, m,
+ * km/h...). Acá se elige otra para mostrar: °F, K, mmHg, atm, inHg, ft,
+ * mph, etc. Todas las conversiones son lineales (valor × gain + offset).
+ *
+ * Por defecto solo cambia lo que se ve en pantalla: la micro:bit sigue
+ * recibiendo la unidad del catálogo con el factor de UART_ORDER, así los
+ * programas MakeCode existentes no se rompen. Con scaleUart = true los
+ * enteros UART también van en la unidad elegida, con el factor ajustado
+ * a la potencia de 10 que conserva la resolución (ej. hPa ×10 → atm
+ * ×10000), para que los números queden del mismo tamaño.
+ *
+ * Clave por sensor: el ID ("30"), o "7.vel" para los campos del GPS.
+ */
+
+/** Conversiones desde cada unidad del catálogo */
+export const UNIT_CONVERSIONS = Object.freeze({
+  '°C':   { '°F': { gain: 1.8, offset: 32 }, 'K': { gain: 1, offset: 273.15 } },
+  'hPa':  { 'kPa': { gain: 0.1 }, 'mmHg': { gain: 0.750062 }, 'inHg': { gain: 0.02953 }, 'atm': { gain: 1 / 1013.25 } },
+  'kPa':  { 'hPa': { gain: 10 }, 'mmHg': { gain: 7.50062 }, 'inHg': { gain: 0.2953 }, 'atm': { gain: 1 / 101.325 } },
+  'm':    { 'cm': { gain: 100 }, 'ft': { gain: 3.28084 } },
+  'km/h': { 'm/s': { gain: 1 / 3.6 }, 'mph': { gain: 0.621371 } },
+});
+
+/** Clave de localStorage */
+const STORAGE_KEY = 'labdisc.units';
+
+/** Clave de una entrada de UART_ORDER (o de formatForDisplay) */
+export function unitKey(id, gpsField) {
+  return gpsField ? id + '.' + gpsField : String(id);
+}
+
+/**
+ * Factor UART para la unidad convertida: la potencia de 10 más cercana
+ * a factor / gain (misma resolución que en la unidad original).
+ */
+export function scaledFactor(factor, gain) {
+  return Math.max(1, Math.pow(10, Math.round(Math.log10(factor / Math.abs(gain)))));
+}
+
+/**
+ * Factor UART real de un campo y la conversión de unidades a aplicar.
+ * La usan el formatter (líneas de datos y encabezado) y worstCaseBytes.
+ * @param {Object} entry - Entrada de una línea (UART_ORDER o layoutField)
+ * @param {Object|null} extOverride - parser.externalSensorOverride
+ * @param {UnitSettings|null} units - Solo si los enteros UART van en la unidad elegida
+ * @returns {{factor: number, conv: Object|null, overridden: boolean}}
+ */
+export function fieldScale(entry, extOverride, units) {
+  // Use external sensor factor if this entry is overridden
+  var factor = entry.factor;
+  var overridden = !!(extOverride && entry.id === extOverride.replacesId && !entry.gpsField);
+  if (overridden) {
+    factor = extOverride.factor;
+  }
+
+  // Unidad elegida por el usuario (opt-in), con el factor reajustado
+  var conv = units && !overridden ? units.resolve(unitKey(entry.id, entry.gpsField), entry.unit, factor, 0) : null;
+  if (conv) factor = conv.factor;
+
+  return { factor: factor, conv: conv, overridden: overridden };
+}
+
+export class UnitSettings {
+  /**
+   * @param {Storage} [storage] - Default: localStorage si existe
+   */
+  constructor(storage) {
+    this._storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    /** clave → unidad elegida (solo las que no son la del catálogo) */
+    this.targets = {};
+
+    /** true = los enteros UART también van en la unidad elegida */
+    this.scaleUart = false;
+
+    this.load();
+  }
+
+  load() {
+    this.targets = {};
+    this.scaleUart = false;
+    if (!this._storage) return;
+    try {
+      var data = JSON.parse(this._storage.getItem(STORAGE_KEY) || 'null');
+      if (data) {
+        this.targets = data.targets || {};
+        this.scaleUart = !!data.scaleUart;
+      }
+    } catch (e) {
+      // preferencias corruptas: se usan las del catálogo
+    }
+  }
+
+  /**
+   * Unidades disponibles para una unidad del catálogo (la primera es ella misma).
+   * @param {string} baseUnit
+   * @returns {string[]}
+   */
+  options(baseUnit) {
+    var conv = UNIT_CONVERSIONS[baseUnit];
+    return conv ? [baseUnit].concat(Object.keys(conv)) : [baseUnit];
+  }
+
+  /** Unidad elegida para una clave (o baseUnit si no se cambió) */
+  target(key, baseUnit) {
+    var t = this.targets[key];
+    return t && UNIT_CONVERSIONS[baseUnit] && UNIT_CONVERSIONS[baseUnit][t] ? t : baseUnit;
+  }
+
+  setTarget(key, unit, baseUnit) {
+    if (unit === baseUnit) delete this.targets[key];
+    else this.targets[key] = unit;
+    this._save();
+  }
+
+  setScaleUart(enabled) {
+    this.scaleUart = !!enabled;
+    this._save();
+  }
+
+  /**
+   * Conversión a aplicar a una clave.
+   * @param {string} key
+   * @param {string} baseUnit - Unidad del catálogo
+   * @param {number} factor - Factor UART en la unidad del catálogo
+   * @param {number} dec - Decimales en la unidad del catálogo
+   * @returns {{unit: string, convert: function(number): number, factor: number, dec: number}|null}
+   *   null si se usa la unidad del catálogo
+   */
+  resolve(key, baseUnit, factor, dec) {
+    var unit = this.target(key, baseUnit);
+    if (unit === baseUnit) return null;
+
+    var c = UNIT_CONVERSIONS[baseUnit][unit];
+    var offset = c.offset || 0;
+    var newFactor = scaledFactor(factor, c.gain);
+    return {
+      unit: unit,
+      convert: function(v) { return v * c.gain + offset; },
+      factor: newFactor,
+      dec: Math.max(0, dec + Math.round(Math.log10(newFactor / factor))),
+    };
+  }
+
+  // ─── Private ───
+
+  _save() {
+    if (this._storage) {
+      this._storage.setItem(STORAGE_KEY, JSON.stringify({ targets: this.targets, scaleUart: this.scaleUart }));
+    }
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * calibration.js — Calibración por sensor (offset, dos puntos)
+ *
+ * Las fórmulas de SENSORS son las de fábrica; las sondas de pH y
+ * temperatura derivan entre clases. La calibración se aplica DESPUÉS de
+ * _convertRaw (LabdiscParser), así la UI, la UART y los CSV usan el
+ * valor calibrado:
+ *
+ *   calibrado = valor × gain + offset
+ *
+ * - Offset (un punto): gain = 1, offset = referencia − medido
+ * - Dos puntos: con dos lecturas en vivo contra dos referencias
+ *   ("sonda en pH 4, capturar; pH 7, capturar")
+ *
+ * Las calibraciones se guardan por equipo físico (perfil con nombre,
+ * ej. "Labdisc 3"), porque cada Labdisc tiene su propia deriva. Cada
+ * registro lleva la fecha y el equipo al que pertenece:
+ *
+ *   { sensorId, type, gain, offset, points: [{ measured, reference }],
+ *     createdAt: ISO, device: 'Labdisc 3' }
+ */
+
+export const CalibrationType = Object.freeze({
+  OFFSET:    'offset',
+  TWO_POINT: 'two-point',
+});
+
+/** Clave de localStorage */
+const STORAGE_KEY = 'labdisc.calibrations';
+
+/** Perfil por defecto */
+export const DEFAULT_DEVICE = 'Labdisc';
+
+export class CalibrationStore {
+  /**
+   * @param {Storage} [storage] - Default: localStorage si existe
+   */
+  constructor(storage) {
+    this._storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    /** Perfil en uso */
+    this.activeDevice = DEFAULT_DEVICE;
+
+    /** @type {Object<string, Object<number, Object>>} equipo → sensorId → registro */
+    this.devices = {};
+
+    /** @type {function()} Cambió algo (para re-render) */
+    this.onChange = null;
+
+    this.load();
+  }
+
+  load() {
+    this.devices = {};
+    this.activeDevice = DEFAULT_DEVICE;
+    if (this._storage) {
+      try {
+        var data = JSON.parse(this._storage.getItem(STORAGE_KEY) || 'null');
+        if (data && data.devices) {
+          this.devices = data.devices;
+          this.activeDevice = data.activeDevice || DEFAULT_DEVICE;
+        }
+      } catch (e) {
+        // datos corruptos: se empieza de cero
+      }
+    }
+    if (!this.devices[this.activeDevice]) this.devices[this.activeDevice] = {};
+  }
+
+  /** Nombres de los perfiles guardados */
+  deviceNames() {
+    return Object.keys(this.devices).sort();
+  }
+
+  /** Cambia (o crea) el perfil en uso. */
+  setActiveDevice(name) {
+    name = String(name || '').trim();
+    if (!name) throw new Error('Falta el nombre del equipo');
+    if (!this.devices[name]) this.devices[name] = {};
+    this.activeDevice = name;
+    this._save();
+  }
+
+  /** Borra un perfil con todas sus calibraciones. */
+  removeDevice(name) {
+    delete this.devices[name];
+    if (this.activeDevice === name) this.activeDevice = this.deviceNames()[0] || DEFAULT_DEVICE;
+    if (!this.devices[this.activeDevice]) this.devices[this.activeDevice] = {};
+    this._save();
+  }
+
+  /** Calibraciones del perfil en uso: sensorId → registro */
+  active() {
+    return this.devices[this.activeDevice];
+  }
+
+  /** @returns {Object|null} Registro del sensor en el perfil en uso */
+  get(sensorId) {
+    return this.active()[sensorId] || null;
+  }
+
+  /**
+   * Calibración de un punto: corre el valor para que `measured` dé `reference`.
+   * @param {number} sensorId
+   * @param {number} measured - Lectura sin calibrar
+   * @param {number} reference - Valor verdadero (buffer, termómetro patrón...)
+   */
+  setOffset(sensorId, measured, reference) {
+    if (!Number.isFinite(measured) || !Number.isFinite(reference)) throw new Error('Lectura o referencia inválida');
+    return this._put(sensorId, CalibrationType.OFFSET, 1, reference - measured,
+      [{ measured: measured, reference: reference }]);
+  }
+
+  /**
+   * Calibración lineal de dos puntos.
+   * @param {number} sensorId
+   * @param {{measured: number, reference: number}} p1
+   * @param {{measured: number, reference: number}} p2
+   */
+  setTwoPoint(sensorId, p1, p2) {
+    if (![p1.measured, p1.reference, p2.measured, p2.reference].every(Number.isFinite)) {
+      throw new Error('Lectura o referencia inválida');
+    }
+    if (p1.measured === p2.measured) throw new Error('Las dos lecturas son iguales: usá referencias distintas');
+
+    var gain = (p2.reference - p1.reference) / (p2.measured - p1.measured);
+    var offset = p1.reference - gain * p1.measured;
+    return this._put(sensorId, CalibrationType.TWO_POINT, gain, offset, [p1, p2]);
+  }
+
+  clear(sensorId) {
+    delete this.active()[sensorId];
+    this._save();
+  }
+
+  /**
+   * Valor calibrado de un sensor (o el mismo si no tiene calibración).
+   * @param {number} sensorId
+   * @param {number} value - Valor de _convertRaw
+   */
+  apply(sensorId, value) {
+    var cal = this.active()[sensorId];
+    return cal ? value * cal.gain + cal.offset : value;
+  }
+
+  // ─── Private ───
+
+  _put(sensorId, type, gain, offset, points) {
+    var record = {
+      sensorId: sensorId,
+      type: type,
+      gain: gain,
+      offset: offset,
+      points: points,
+      createdAt: new Date().toISOString(),
+      device: this.activeDevice,
+    };
+    this.active()[sensorId] = record;
+    this._save();
+    return record;
+  }
+
+  _save() {
+    if (this._storage) {
+      this._storage.setItem(STORAGE_KEY, JSON.stringify({ activeDevice: this.activeDevice, devices: this.devices }));
+    }
+    if (this.onChange) this.onChange();
+  }
+}
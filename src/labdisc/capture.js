@@ -0,0 +1,167 @@
+/**
+ * capture.js — Grabación y reproducción de sesiones seriales
+ *
+ * Formato de archivo de captura (JSON, "labdisc-capture" v1):
+ *
+ *   {
+ *     "format": "labdisc-capture",
+ *     "version": 1,
+ *     "startedAt": "2026-03-04T15:32:10.123Z",
+ *     "note": "...",                          ← texto libre (bug report)
+ *     "events": [
+ *       [0,    "tx", "47 14 aa fb", "GetSensorIDs"],
+ *       [312,  "rx", "2e 69 82 ..."],
+ *       ...
+ *     ]
+ *   }
+ *
+ * Cada evento: [ms desde el inicio, dirección, bytes en hex, nombre opcional].
+ * "rx" son los chunks tal como los entregó reader.read() (sin re-armar en
+ * paquetes), así la reproducción ejercita el parser con el mismo troceo.
+ */
+
+import { fmtHex } from './protocol.js';
+
+export const CAPTURE_FORMAT = 'labdisc-capture';
+export const CAPTURE_VERSION = 1;
+
+/**
+ * Graba bytes recibidos y comandos enviados con timestamp.
+ */
+export class SerialRecorder {
+  constructor() {
+    this.startedAt = new Date();
+    this._t0 = performance.now();
+
+    /** @type {Array[]} */
+    this.events = [];
+  }
+
+  /** @param {Uint8Array} bytes - Chunk recibido en _readLoop */
+  rx(bytes) {
+    this.events.push([this._now(), 'rx', fmtHex(bytes)]);
+  }
+
+  /**
+   * @param {Uint8Array} bytes - Paquete enviado
+   * @param {string} [name] - Nombre del comando (para leer la captura a mano)
+   */
+  tx(bytes, name) {
+    var ev = [this._now(), 'tx', fmtHex(bytes)];
+    if (name) ev.push(name);
+    this.events.push(ev);
+  }
+
+  /**
+   * Serializa la captura a JSON.
+   * @param {string} [note] - Descripción del problema, dispositivo, etc.
+   */
+  toJSON(note) {
+    return JSON.stringify({
+      format: CAPTURE_FORMAT,
+      version: CAPTURE_VERSION,
+      startedAt: this.startedAt.toISOString(),
+      note: note || '',
+      events: this.events,
+    });
+  }
+
+  _now() {
+    return Math.round(performance.now() - this._t0);
+  }
+}
+
+/**
+ * Lee un archivo de captura.
+ * @param {string} text - Contenido JSON
+ * @returns {{startedAt: string, note: string, events: Array[]}}
+ * @throws {Error} si no es una captura válida
+ */
+export function parseCapture(text) {
+  var data = JSON.parse(text);
+  if (!data || data.format !== CAPTURE_FORMAT || !Array.isArray(data.events)) {
+    throw new Error('No es un archivo ' + CAPTURE_FORMAT);
+  }
+  if (data.version > CAPTURE_VERSION) {
+    throw new Error('Versión de captura no soportada: ' + data.version);
+  }
+  return data;
+}
+
+/** "2e 69 82" → Uint8Array */
+export function hexToBytes(hex) {
+  var parts = hex.trim().split(/\s+/);
+  var out = new Uint8Array(parts.length);
+  for (var i = 0; i < parts.length; i++) out[i] = parseInt(parts[i], 16);
+  return out;
+}
+
+/** Chunks por tanda en la reproducción a velocidad máxima */
+const REPLAY_BATCH = 200;
+
+/**
+ * Reproduce los eventos "rx" de una captura llamando a onBytes con el
+ * mismo troceo y los mismos intervalos (divididos por speed).
+ *
+ * Con speed = Infinity entrega todo lo más rápido posible, en tandas
+ * de REPLAY_BATCH para no congelar la UI.
+ */
+export class CaptureReplay {
+  /**
+   * @param {Object} capture - Resultado de parseCapture
+   * @param {number} speed - 1 = tiempo real, 2 = doble, Infinity = máximo
+   */
+  constructor(capture, speed) {
+    this.events = capture.events.filter(function(ev) { return ev[1] === 'rx'; });
+    this.speed = speed > 0 ? speed : 1;
+    this.position = 0;
+
+    /** @type {function(Uint8Array)} */
+    this.onBytes = null;
+
+    /** @type {function()} Llamado al terminar (no si se llama stop()) */
+    this.onEnd = null;
+
+    this._timer = null;
+  }
+
+  get isRunning() { return this._timer !== null; }
+
+  start() {
+    this.stop();
+    this.position = 0;
+    this._schedule(0);
+  }
+
+  stop() {
+    if (this._timer !== null) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _schedule(delay) {
+    var self = this;
+    this._timer = setTimeout(function() { self._step(); }, delay);
+  }
+
+  _step() {
+    var batch = this.speed === Infinity ? REPLAY_BATCH : 1;
+
+    for (var i = 0; i < batch && this.position < this.events.length; i++) {
+      var ev = this.events[this.position++];
+      if (this.onBytes) this.onBytes(hexToBytes(ev[2]));
+    }
+
+    if (this.position >= this.events.length) {
+      this._timer = null;
+      if (this.onEnd) this.onEnd();
+      return;
+    }
+
+    var delay = this.speed === Infinity
+      ? 0
+      : (this.events[this.position][0] - this.events[this.position - 1][0]) / this.speed;
+    this._schedule(Math.max(0, delay));
+  }
+}
@@ -34,20 +34,84 @@
  * Basado en: https://web.dev/serial/#close-port
  */
 
-import { BAUD_RATE, CMD, buildCommand, fmtHex } from './protocol.js';
+import {
+  BAUD_RATE, CMD, RATE_TABLE, COUNT_TABLE,
+  buildCommand, buildCommandWithPayload, buildDownloadExperiment, buildSetDateTime, buildStartExperiment, buildStartLogin, fmtHex,
+} from './protocol.js';
+import { SENSORS, buildMaskForRate, sensorRateReport } from './sensors.js';
+import { LinkStats } from './link-stats.js';
+import { SilenceWatchdog, WatchdogStep } from './watchdog.js';
+import { SerialRecorder, CaptureReplay } from './capture.js';
 import { LabdiscParser } from './parser.js';
 import { createPollTimer } from './poll-worker.js';
 
 /** Comando 0x55: polling de Online Data. Checksum = 0x50. */
 const CMD_POLL = new Uint8Array([0x47, 0x14, 0x55, 0x50]);
 
+/** Timeout esperando un ACK 0x83 */
+const STATUS_TIMEOUT_MS = 2000;
+
+/** Silencio que marca el fin de una ráfaga 0x55 (log de experimentos) */
+const LOG_IDLE_MS = 800;
+
+/** Silencio que marca el fin de una descarga de muestras 0x84 */
+const DOWNLOAD_IDLE_MS = 2000;
+
+/** Espera máxima hasta la primera muestra de una descarga */
+const DOWNLOAD_FIRST_MS = 5000;
+
+/** Cada cuánto se pide GetSensorStatus mientras el Labdisc registra */
+const LOGGING_STATUS_MS = 3000;
+
+/** Cada cuánto se pide GetSensorStatus con el Labdisc conectado y quieto */
+const STATUS_REFRESH_MS = 10000;
+
+/** Espera del ACK de ResetClear (borrar la memoria puede tardar) */
+const CLEAR_TIMEOUT_MS = 5000;
+
+/** Diferencia aceptada entre el reloj del Labdisc y el del host (segundos) */
+const CLOCK_TOLERANCE_S = 5;
+
+/** Reintentos tras perder el enlace: 1 s, 2 s, 4 s... hasta RECONNECT_MAX_MS */
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const RECONNECT_ATTEMPTS = 10;
+
 export const ConnectionState = Object.freeze({
   DISCONNECTED: 'disconnected',
   CONNECTING:   'connecting',
   CONNECTED:    'connected',
   STREAMING:    'streaming',
+  LOGGING:      'logging',     // registrando en la memoria del Labdisc (0x22)
+  RECONNECTING: 'reconnecting',  // enlace perdido, reintentando con el mismo port
+  STALLED:      'stalled',     // stream activo pero sin datos (ver SilenceWatchdog)
 });
 
+/**
+ * Modos de adquisición:
+ * - POLL: el host manda 0x55 a pollHz, el Labdisc responde 0x81 (todos los sensores)
+ * - PUSH: el host manda 0x11 una vez, el Labdisc envía 0x84 a su propio ritmo
+ *         (solo los sensores de la máscara). Sin jitter del timer ni round-trips.
+ */
+export const AcquisitionMode = Object.freeze({
+  POLL: 'poll',
+  PUSH: 'push',
+  REPLAY: 'replay',  // solo interno: reproduciendo una captura (ver replay())
+});
+
+/** Rate indexes que acepta 0x11 en modo push (ver RATE_TABLE) */
+const PUSH_RATES = [0x02, 0x03, 0x04];
+
+/** Count index para push: el mayor conocido (10000 muestras) */
+const PUSH_COUNT_IDX = 0x03;
+
+/**
+ * El Labdisc corta el 0x11 solo al llegar a COUNT_TABLE[PUSH_COUNT_IDX]
+ * muestras (~400 s a 25 Hz). Se re-arma este margen antes (en segundos
+ * de stream), para que no lo tome el watchdog como un corte.
+ */
+const PUSH_REARM_MARGIN_S = 2;
+
 export class LabdiscConnection {
   constructor() {
     this.port = null;
@@ -59,12 +123,56 @@ export class LabdiscConnection {
     /** Polling frequency in Hz */
     this.pollHz = 1;
 
+    /** Modo de adquisición usado por startAcquisition() */
+    this.mode = AcquisitionMode.POLL;
+
+    /**
+     * Sensores elegidos por el usuario (null = todos). Junto con el maxHz
+     * de cada sensor define la máscara activa (activeMask): lo que queda
+     * afuera no se pide en push y se marca como sin dato en poll.
+     * @type {number[]|null}
+     */
+    this.selectedIds = null;
+
+    /** Modo del stream en curso (null si no hay stream) */
+    this._activeMode = null;
+
+    /** true mientras startPush() espera el ExperimentACK */
+    this._pushStarting = false;
+
+    /** Muestras 0x84 recibidas desde el último 0x11 (ver PUSH_REARM_MARGIN_S) */
+    this._pushSamples = 0;
+
+    /** Re-arranque del push en curso (ver _reconfigurePush) */
+    this._pushReconfig = null;
+    this._pushReconfigAgain = false;
+    this._pushReconfigHz = undefined;
+
+    /** Cola de escrituras de _sendRaw() y _sendPoll(): una a la vez sobre el writer */
+    this._txChain = Promise.resolve();
+
+    /** true mientras hay un poll esperando en _txChain */
+    this._pollQueued = false;
+
+    /** @type {SerialRecorder|null} Grabación de la sesión en curso */
+    this.recorder = null;
+
+    /** @type {CaptureReplay|null} Reproducción de captura en curso */
+    this._replay = null;
+
     /** Polling timer (Web Worker, not throttled in background) */
     this._pollTimer = createPollTimer();
 
     /** Stats */
     this._pollSentCount = 0;
 
+    /** Calidad del enlace (pérdidas, latencia, resyncs) en ventana deslizante */
+    this.linkStats = new LinkStats();
+
+    /** Silencio del stream: escala aviso → estado → re-arranque → reabrir port */
+    this.watchdog = new SilenceWatchdog();
+    this.watchdog.onStep = (step, silenceMs) => this._onSilence(step, silenceMs);
+
     /**
      * Flag de desconexión en curso.
      * Cuando es true, _sendPoll() y _sendRaw() no intentan escribir.
@@ -80,14 +188,62 @@ export class LabdiscConnection {
      */
     this._readLoopDone = null;
 
+    /** true = reintentar solo si el enlace se cae (no por disconnect()) */
+    this.autoReconnect = true;
+
+    /** Último port abierto: se reusa sin mostrar el selector */
+    this._lastPort = null;
+
+    /**
+     * Reconexión en curso, o null.
+     * resume = stream a retomar ({mode, hz}) o null si estaba quieto.
+     * @type {{attempt: number, timer: number|null, resume: Object|null}|null}
+     */
+    this._reconnect = null;
+
+    /**
+     * Listeners de connect/disconnect en navigator.serial, o null. Se sacan
+     * al quedar DISCONNECTED para que una instancia descartada no reaccione.
+     * @type {{connect: function(Event), disconnect: function(Event)}|null}
+     */
+    this._serialEvents = null;
+
     // ─── Callbacks ───
     this.onStateChange = null;
     this.onSensorIds = null;
     this.onStatus = null;
     this.onData = null;
+    this.onPairSwitch = null;
     this.onLog = null;
 
-    this._statusResolver = null;
+    /**
+     * Promesas esperando un 0x83 con un sub-type concreto.
+     * @type {{sub: number, resolve: function(Object|null), timer: number}[]}
+     */
+    this._statusWaiters = [];
+
+    /**
+     * Destino de los 0x84 mientras se descarga un experimento guardado.
+     * Si no es null, los datos NO se reenvían por onData (no van a la micro:bit).
+     * @type {Object[]|null}
+     */
+    this._memoryCapture = null;
+
+    /**
+     * Registro en curso en el Labdisc (StartLogin), o null.
+     * expectedMs = null si el rate o la cantidad no se conocen.
+     * @type {{startedAt: number, expectedMs: number|null, rateIdx: number, countIdx: number}|null}
+     */
+    this.logging = null;
+
+    /** setInterval que pide GetSensorStatus durante el registro */
+    this._loggingStatusTimer = null;
+
+    /** setInterval que refresca deviceStatus (batería, memoria) mientras está conectado */
+    this._statusRefreshTimer = null;
+
+    /** true para no mandar el refresco periódico (ej. banco de pruebas escuchando) */
+    this.statusRefreshPaused = false;
 
     // Wire parser callbacks
     this.parser.onSensorIds = (ids) => {
@@ -95,28 +251,66 @@ export class LabdiscConnection {
     };
     this.parser.onStatus = (status) => {
       this.deviceStatus = status;
-
-      if (this._statusResolver) {
-        var resolve = this._statusResolver;
-        this._statusResolver = null;
-        resolve(status);
-      }
-
+      this._resolveStatusWaiters(status);
+      this._checkLoggingStatus(status);
       if (this.onStatus) this.onStatus(status);
     };
     this.parser.onData = (values, count) => {
+      if (this._memoryCapture) {
+        this._memoryCapture.push(values);
+        return;
+      }
+      this.linkStats.dataReceived(values._counter);
+      if (this.watchdog.feed()) this._silenceRecovered();
+      if (this._activeMode === AcquisitionMode.PUSH) this._countPushSample();
+      this._excludeInactive(values);
       if (this.onData) this.onData(values, count);
     };
+    this.parser.onPairSwitch = (e) => {
+      this._log('info', e.pair.name + ': activo ' + _sensorName(e.active) +
+        (e.previous ? ' (botón cambiado)' : ''));
+      if (this.onPairSwitch) this.onPairSwitch(e);
+    };
     this.parser.onLog = (type, msg) => this._log(type, msg);
+    this.parser.onBadChecksum = () => this.linkStats.badChecksum();
+    this.parser.onResync = (n) => this.linkStats.resync(n);
   }
 
   // ─── Public API ───
 
   static isSupported() { return 'serial' in navigator; }
   get isConnected() { return this.state !== ConnectionState.DISCONNECTED; }
-  get isStreaming() { return this.state === ConnectionState.STREAMING; }
+  /** STALLED sigue siendo un stream en curso (sin datos, pero no detenido) */
+  get isStreaming() { return this.state === ConnectionState.STREAMING || this.state === ConnectionState.STALLED; }
   get sensorIds() { return this.parser.sensorIds; }
 
+  /** Frecuencia real del stream: en push, el rate de 0x11 más cercano a pollHz */
+  get effectiveHz() {
+    return this.mode === AcquisitionMode.PUSH ? RATE_TABLE[_nearestPushRate(this.pollHz)].hz : this.pollHz;
+  }
+
+  /** Máscara de sensores activos: elegidos y compatibles con effectiveHz */
+  activeMask() {
+    return buildMaskForRate(this.sensorIds, this.effectiveHz, this.selectedIds, this.parser.externalSensorOverride);
+  }
+
+  /** Estado de cada sensor (elegido, compatible, activo) para la UI */
+  sensorReport() {
+    return sensorRateReport(this.sensorIds, this.effectiveHz, this.selectedIds, this.parser.externalSensorOverride);
+  }
+
+  /**
+   * Elige los sensores activos. En push re-arranca el stream con la
+   * máscara nueva; en poll el 0x81 trae todo y se filtra al recibir.
+   * @param {number[]|null} ids - null = todos
+   */
+  setSelectedSensors(ids) {
+    this.selectedIds = ids ? ids.slice() : null;
+    this._log('info', 'Sensores activos: ' + (ids ? ids.join(',') || 'ninguno' : 'todos'));
+
+    if (this._activeMode === AcquisitionMode.PUSH || this._pushReconfig) this._reconfigurePush();
+  }
+
   /**
    * Connect to the Labdisc.
    *
@@ -124,8 +318,14 @@ export class LabdiscConnection {
    * 1. Open serial port at 9600 baud
    * 2. GetSensorIDs (×2, ~50ms apart)
    * 3. GetSensorStatus (×2, ~50ms apart)
+   * 4. (opcional) SetDateTime + GetSensorStatus para verificar
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.syncClock=false] - Sincronizar el reloj del
+   *   Labdisc con el del host al terminar el handshake
    */
-  async connect() {
+  async connect(options) {
+    var opts = options || {};
     if (this.isConnected) return;
 
     this._disconnecting = false;
@@ -134,44 +334,38 @@ export class LabdiscConnection {
       this._setState(ConnectionState.CONNECTING);
       this._log('info', 'Solicitando puerto serial...');
 
-      this.port = await navigator.serial.requestPort();
+      this.port = await this._requestPort(opts);
       await this.port.open({ baudRate: BAUD_RATE });
+      this._lastPort = this.port;
+      this._watchSerialEvents();
 
       // Puerto abierto, pero aún no "conectado" visualmente.
       // Nos quedamos en CONNECTING hasta que el handshake termine.
       this._log('info', 'Puerto abierto a ' + BAUD_RATE + ' baud');
 
-      // Iniciar el read loop. Guardamos la Promise para poder
-      // esperarla en disconnect().
-      this._readLoopDone = this._readLoop();
-
-      // Step 1: Get sensor IDs (duplicated, like GlobiLab X)
-      await this._sleep(300);
-      await this._sendDuplicated(CMD.GET_SENSOR_IDS, 'GetSensorIDs');
+      await this._handshake(opts);
 
-      // Step 2: Get current status (duplicated)
-      await this._sleep(800);
-      await this._sendDuplicated(CMD.GET_SENSOR_STATUS, 'GetSensorStatus');
-
-      // Esperar un poco para que lleguen las respuestas del Labdisc
-      // (los paquetes 0x82 y 0x83 que el parser procesa en _readLoop)
-      await this._sleep(500);
-
-      // Recién ahora marcamos CONNECTED — el handshake terminó,
-      // el parser ya tiene los sensorIds y el deviceStatus.
-      // Esto es lo que hace que el diagrama se ilumine en la UI.
       if (!this._disconnecting && this.port) {
-        this._setState(ConnectionState.CONNECTED);
-        this._log('info', 'Labdisc conectado — handshake completo');
+        this._finishConnect();
       }
 
     } catch (e) {
       if (e.name !== 'NotFoundError') this._log('err', 'Conexion: ' + e.message);
+      this._unwatchSerialEvents();
       this._setState(ConnectionState.DISCONNECTED);
       this.port = null;
     }
   }
 
+  /**
+   * Ports que el usuario ya autorizó (se pueden abrir sin el selector).
+   * @returns {Promise<SerialPort[]>}
+   */
+  static async grantedPorts() {
+    if (typeof navigator === 'undefined' || !('serial' in navigator)) return [];
+    return navigator.serial.getPorts();
+  }
+
   /**
    * Disconnect from the Labdisc.
    *
@@ -198,12 +392,28 @@ export class LabdiscConnection {
   async disconnect() {
     if (!this.isConnected) return;
 
+    // Cortar una reconexión en curso (no hay port abierto entre reintentos)
+    if (this._reconnect) {
+      clearTimeout(this._reconnect.timer);
+      this._reconnect = null;
+    }
+
+    // Paso 0: si hay un experimento 0x11 corriendo, pedirle al Labdisc
+    // que pare. Tiene que ser ANTES del paso 1: con _disconnecting=true
+    // _sendRaw() ya no escribe.
+    if (this._activeMode === AcquisitionMode.PUSH) {
+      await this.stopPush();
+    }
+
     // Paso 1: señalizar
     this._disconnecting = true;
     this._log('info', 'Desconectando...');
 
-    // Paso 2: parar polling
+    // Paso 2: parar polling (y los refrescos de estado / replay)
     this.stopPolling();
+    this._stopLoggingStatus();
+    this._stopStatusRefresh();
+    this._stopReplay();
 
     // Paso 3: cancelar reader para desbloquear _readLoop()
     try {
@@ -240,8 +450,12 @@ export class LabdiscConnection {
     this._readLoopDone = null;
     this.parser.reset();
     this.deviceStatus = null;
-    this._statusResolver = null;
+    this._resolveStatusWaiters(null);
+    this._memoryCapture = null;
+    this.logging = null;
+    this._activeMode = null;
     this._disconnecting = false;
+    this._unwatchSerialEvents();
     this._setState(ConnectionState.DISCONNECTED);
     this._log('info', 'Desconectado del Labdisc');
   }
@@ -253,7 +467,11 @@ export class LabdiscConnection {
    * @param {number} [hz] - Optional frequency override (1-25 recommended)
    */
   startPolling(hz) {
-    if (!this.isConnected) return;
+    if (!this.isConnected || (this.state === ConnectionState.RECONNECTING && !this.port)) return;
+    if (this.state === ConnectionState.LOGGING) {
+      this._log('warn', 'El Labdisc está registrando — detené el registro para hacer polling');
+      return;
+    }
     if (this.isStreaming) this.stopPolling();
 
     if (hz !== undefined) this.pollHz = hz;
@@ -261,6 +479,7 @@ export class LabdiscConnection {
     var intervalMs = Math.round(1000 / this.pollHz);
     this._pollSentCount = 0;
     this.parser.packetCount = 0;
+    this.linkStats.reset();
 
     this._log('info', 'Polling a ' + this.pollHz + ' Hz (cada ' + intervalMs + 'ms)');
 
@@ -269,7 +488,9 @@ export class LabdiscConnection {
       self._sendPoll();
     });
 
+    this._activeMode = AcquisitionMode.POLL;
     this._setState(ConnectionState.STREAMING);
+    this.watchdog.start(intervalMs);
   }
 
   /**
@@ -278,7 +499,9 @@ export class LabdiscConnection {
   stopPolling() {
     this._pollTimer.stop();
 
-    if (this.state === ConnectionState.STREAMING) {
+    if (this.isStreaming && this._activeMode === AcquisitionMode.POLL) {
+      this.watchdog.stop();
+      this._activeMode = null;
       this._log('info', 'Polling detenido. ' +
         this._pollSentCount + ' enviados, ' +
         this.parser.packetCount + ' recibidos');
@@ -294,13 +517,208 @@ export class LabdiscConnection {
     if (hz < 0.5 || hz > 50) return;
     this.pollHz = hz;
 
+    // Durante un re-arranque _activeMode está en null entre el stop y el start
+    if (this._activeMode === AcquisitionMode.PUSH || this._pushReconfig) {
+      // 0x11 no se puede re-configurar en caliente: parar y re-arrancar
+      this._reconfigurePush(hz);
+      return;
+    }
+
     if (this.isStreaming) {
       var intervalMs = Math.round(1000 / this.pollHz);
       this._pollTimer.setInterval(intervalMs);
+      this.watchdog.setIntervalMs(intervalMs);
       this._log('info', 'Frecuencia cambiada a ' + this.pollHz + ' Hz');
     }
   }
 
+  // ─── Push mode (0x11 → 0x84) ───
+
+  /**
+   * Arranca el stream de experimento del Labdisc (0x11).
+   *
+   * El rate se redondea al más cercano que acepta 0x11 (1/10/25 Hz) y
+   * la máscara excluye los sensores cuyo maxHz no llega (buildMaskForRate).
+   * Los 0x84 que llegan pasan por el parser igual que los 0x81 del polling.
+   *
+   * @param {number} [hz] - Optional frequency override
+   * @returns {Promise<boolean>} true si el Labdisc confirmó (ExperimentACK)
+   */
+  async startPush(hz) {
+    if (!this.isConnected || this.state === ConnectionState.LOGGING) return false;
+    if (this.state === ConnectionState.RECONNECTING && !this.port) return false;
+    if (this._pushStarting) return false;  // auto-stream puede llamar dos veces seguidas
+    if (this.isStreaming) await this.stopAcquisition();
+
+    if (hz !== undefined) this.pollHz = hz;
+
+    this.parser.packetCount = 0;
+    this.linkStats.reset();
+    this._pushStarting = true;
+    var rateHz = await this._armPush();
+    this._pushStarting = false;
+    if (rateHz === null) return false;
+
+    this.pollHz = rateHz;
+    this._activeMode = AcquisitionMode.PUSH;
+    this._setState(ConnectionState.STREAMING);
+    this.watchdog.start(Math.round(1000 / rateHz));
+    return true;
+  }
+
+  /**
+   * Detiene el stream 0x11.
+   *
+   * Se usa 0x33 (StopLogin): GlobiLab X lo manda también para cortar
+   * el experimento online, y el Labdisc responde con StopLoginACK.
+   */
+  async stopPush() {
+    if (this._activeMode !== AcquisitionMode.PUSH) return;
+
+    var ack = this._waitForStatus(CMD.STOP_LOGIN, STATUS_TIMEOUT_MS);
+    await this.sendCommand(CMD.STOP_LOGIN, 'StopExperiment');
+    if (!(await ack)) this._log('warn', 'StopExperiment sin ACK');
+
+    this._activeMode = null;
+    this.watchdog.stop();
+    this._log('info', 'Push detenido. ' + this.parser.packetCount + ' paquetes recibidos');
+    if (this.isStreaming) this._setState(ConnectionState.CONNECTED);
+  }
+
+  /**
+   * Re-arranca el push con la configuración actual (Hz o sensores).
+   *
+   * Los pedidos que llegan mientras hay un re-arranque en curso se juntan
+   * en uno solo al final: mover el selector de Hz varias veces seguidas, o
+   * un ONLY desde la micro:bit, no se encima con un StopExperiment a medio
+   * mandar. Nunca rechaza: los errores van al log.
+   *
+   * @param {number} [hz] - Frecuencia pedida (startPush pisa pollHz con la
+   *   del re-arranque en curso, así que se guarda aparte para la vuelta siguiente)
+   * @returns {Promise<void>}
+   */
+  _reconfigurePush(hz) {
+    if (hz !== undefined) this._pushReconfigHz = hz;
+    if (this._pushReconfig) {
+      this._pushReconfigAgain = true;
+      return this._pushReconfig;
+    }
+
+    var self = this;
+    this._pushReconfig = (async function() {
+      do {
+        var nextHz = self._pushReconfigHz;
+        self._pushReconfigAgain = false;
+        self._pushReconfigHz = undefined;
+        await self.stopPush();
+        await self.startPush(nextHz);
+      } while (self._pushReconfigAgain && self._activeMode === AcquisitionMode.PUSH);
+    })().catch(function(e) {
+      self._log('err', 'No se pudo re-arrancar el push: ' + e.message);
+    }).then(function() {
+      self._pushReconfig = null;
+    });
+    return this._pushReconfig;
+  }
+
+  /**
+   * Arranca el stream en el modo configurado (this.mode).
+   * @param {number} [hz] - Optional frequency override
+   */
+  async startAcquisition(hz) {
+    if (this.mode === AcquisitionMode.PUSH) {
+      await this.startPush(hz);
+    } else {
+      if (this._activeMode === AcquisitionMode.PUSH) await this.stopPush();
+      this.startPolling(hz);
+    }
+  }
+
+  /** Detiene el stream en curso, sea cual sea su modo. */
+  async stopAcquisition() {
+    if (this._activeMode === AcquisitionMode.PUSH) {
+      await this.stopPush();
+    } else if (this._activeMode === AcquisitionMode.REPLAY) {
+      this._stopReplay();
+    } else {
+      this.stopPolling();
+    }
+  }
+
+  /**
+   * Cambia el modo de adquisición. Si hay un stream activo, lo re-arranca
+   * en el modo nuevo.
+   * @param {string} mode - AcquisitionMode.POLL | AcquisitionMode.PUSH
+   */
+  async setMode(mode) {
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this._log('info', 'Modo de adquisición: ' + mode);
+
+    if (this.isStreaming) {
+      await this.stopAcquisition();
+      await this.startAcquisition();
+    }
+  }
+
+  // ─── Record / replay ───
+
+  /**
+   * Empieza a grabar todo lo que entra por _readLoop y sale por
+   * _sendRaw/_sendPoll. Se puede activar antes de connect() para
+   * capturar también el handshake.
+   */
+  startRecording() {
+    this.recorder = new SerialRecorder();
+    this._log('info', 'Grabando sesión serial');
+  }
+
+  /**
+   * Deja de grabar.
+   * @returns {SerialRecorder|null} La grabación (ver recorder.toJSON())
+   */
+  stopRecording() {
+    var rec = this.recorder;
+    this.recorder = null;
+    if (rec) this._log('info', 'Grabación detenida: ' + rec.events.length + ' eventos');
+    return rec;
+  }
+
+  /**
+   * Reproduce una captura como si viniera del Labdisc.
+   *
+   * No abre ningún puerto: los chunks "rx" se inyectan en el parser y
+   * desde ahí recorren el mismo camino que en vivo (onSensorIds, onStatus,
+   * onData → Bridge → formatter → UI / micro:bit). Los "tx" se ignoran;
+   * _sendRaw y _sendPoll no escriben porque no hay port.
+   *
+   * @param {Object} capture - Resultado de parseCapture()
+   * @param {number} [speed=1] - 1 = tiempo original, Infinity = lo más rápido posible
+   */
+  replay(capture, speed) {
+    if (this.isConnected) {
+      this._log('warn', 'Desconectá el Labdisc antes de reproducir una captura');
+      return;
+    }
+
+    var self = this;
+    this._replay = new CaptureReplay(capture, speed || 1);
+    this._replay.onBytes = function(bytes) { self.parser.feed(bytes); };
+    this._replay.onEnd = function() {
+      self._log('info', 'Fin de la captura');
+      self._endReplay();
+    };
+
+    this.parser.reset();
+    this.parser.packetCount = 0;
+    this.linkStats.reset();
+    this._log('info', 'Reproduciendo captura (' + this._replay.events.length + ' chunks, ×' + (speed || 1) + ')');
+
+    this._activeMode = AcquisitionMode.REPLAY;
+    this._setState(ConnectionState.STREAMING);
+    this._replay.start();
+  }
+
   // ─── Legacy API (for compatibility with bridge.js) ───
 
   async startNormal() { this.startPolling(1); }
@@ -312,6 +730,241 @@ export class LabdiscConnection {
     await this._sendRaw(pkt, name);
   }
 
+  /**
+   * Envía un comando arbitrario 47 14 <code> <payload...> <checksum>.
+   * Para investigar el protocolo (ver workbench.js); no cambia el estado.
+   * @param {number} code
+   * @param {number[]} payload
+   * @param {string} [name]
+   */
+  async sendCommandWithPayload(code, payload, name) {
+    var pkt = buildCommandWithPayload(code, payload);
+    await this._sendRaw(pkt, name);
+  }
+
+  /**
+   * Pone el reloj del Labdisc en la hora local del host.
+   *
+   * Envía SetDateTime (0xCC) y después pide un GetSensorStatus para
+   * leer la fecha/hora de vuelta (bytes 13-18 del 0x83). La sincronización
+   * se da por buena si la diferencia es menor a CLOCK_TOLERANCE_S.
+   *
+   * @returns {Promise<boolean>} true si el reloj quedó sincronizado
+   */
+  async syncClock() {
+    if (!this._checkIdle('sincronizar el reloj')) return false;
+    return this._syncClock();
+  }
+
+  // ─── Registro en el dispositivo (StartLogin / StopLogin) ───
+
+  /**
+   * Arranca un registro en la memoria del Labdisc.
+   *
+   * El Labdisc graba solo: se puede desconectar y llevárselo. Mientras
+   * sigamos conectados pedimos GetSensorStatus cada LOGGING_STATUS_MS
+   * y seguimos el flag `active` del 0x83 para saber cuándo terminó.
+   *
+   * @param {number[]} ids - Sensor IDs a registrar (subconjunto de sensorIds)
+   * @param {number} rateIdx - Índice de RATE_TABLE
+   * @param {number} countIdx - Índice de COUNT_TABLE
+   * @returns {Promise<boolean>} true si el Labdisc confirmó (StartLoginACK)
+   */
+  async startLogging(ids, rateIdx, countIdx) {
+    if (!this._checkIdle('iniciar un registro')) return false;
+
+    var mask = 0;
+    for (var i = 0; i < this.sensorIds.length; i++) {
+      if (ids.indexOf(this.sensorIds[i]) !== -1) mask |= (1 << i);
+    }
+    if (mask === 0) {
+      this._log('warn', 'Registro: no hay sensores seleccionados');
+      return false;
+    }
+
+    var ack = this._waitForStatus(CMD.START_LOGIN, STATUS_TIMEOUT_MS);
+    await this._sendRaw(buildStartLogin((mask >> 8) & 0xFF, mask & 0xFF, rateIdx, countIdx), 'StartLogin');
+    if (!(await ack)) {
+      this._log('err', 'StartLogin sin ACK — el registro no arrancó');
+      return false;
+    }
+
+    var rate = RATE_TABLE[rateIdx];
+    var count = COUNT_TABLE[countIdx];
+    this.logging = {
+      startedAt: Date.now(),
+      expectedMs: rate && rate.hz && count ? count / rate.hz * 1000 : null,
+      rateIdx: rateIdx,
+      countIdx: countIdx,
+    };
+
+    this._startLoggingStatus();
+    this._setState(ConnectionState.LOGGING);
+    this._log('info', 'Registro iniciado: mask=0x' + mask.toString(16) +
+      ', ' + (rate ? rate.label : rateIdx) + ', ' + (count || '?') + ' muestras');
+    return true;
+  }
+
+  /**
+   * Detiene el registro en curso.
+   * @returns {Promise<boolean>} true si el Labdisc confirmó (StopLoginACK)
+   */
+  async stopLogging() {
+    if (this.state !== ConnectionState.LOGGING) return false;
+
+    var ack = this._waitForStatus(CMD.STOP_LOGIN, STATUS_TIMEOUT_MS);
+    await this.sendCommand(CMD.STOP_LOGIN, 'StopLogin');
+    if (!(await ack)) {
+      this._log('err', 'StopLogin sin ACK');
+      return false;
+    }
+
+    this._endLogging('Registro detenido');
+    return true;
+  }
+
+  /**
+   * Progreso del registro en curso.
+   * @returns {{elapsedMs: number, expectedMs: number|null, fraction: number|null}|null}
+   */
+  getLoggingProgress() {
+    if (!this.logging) return null;
+    var elapsed = Date.now() - this.logging.startedAt;
+    var expected = this.logging.expectedMs;
+    return {
+      elapsedMs: elapsed,
+      expectedMs: expected,
+      fraction: expected ? Math.min(1, elapsed / expected) : null,
+    };
+  }
+
+  // ─── Device memory (experimentos guardados) ───
+
+  /**
+   * Lee el log de experimentos guardados en la memoria del Labdisc.
+   *
+   * Envía 0x45 (GetDeviceInfo). El Labdisc responde con un ACK 0x83
+   * (sub=0x45) seguido de una ráfaga de registros 0x55, uno por
+   * experimento. No hay marca de "fin de ráfaga", así que esperamos
+   * hasta que pasen LOG_IDLE_MS sin registros nuevos.
+   *
+   * Requiere que el polling esté detenido: las respuestas 0x81 del
+   * polling se mezclarían con la ráfaga.
+   *
+   * Sin ACK ni registros no se sabe si la memoria está vacía o si el
+   * Labdisc no contestó: se devuelve null, no una lista vacía.
+   *
+   * @returns {Promise<Object[]|null>} Registros tal como los arma
+   *   _parseExperimentLog, o null si no se pudo leer (sin respuesta, o
+   *   el Labdisc no estaba conectado y en reposo)
+   */
+  async fetchExperimentLog() {
+    if (!this._checkIdle('leer la memoria')) return null;
+
+    this.parser.experimentLog = [];
+    var ack = this._waitForStatus(CMD.GET_DEVICE_INFO, STATUS_TIMEOUT_MS);
+    await this.sendCommand(CMD.GET_DEVICE_INFO, 'GetDeviceInfo');
+
+    var acked = !!(await ack);
+    if (!acked) {
+      this._log('warn', 'GetDeviceInfo sin ACK — esperando registros igual');
+    }
+
+    var parser = this.parser;
+    await this._waitIdle(function() { return parser.experimentLog.length; }, LOG_IDLE_MS, STATUS_TIMEOUT_MS);
+
+    if (!acked && parser.experimentLog.length === 0) {
+      this._log('err', 'Memoria: el Labdisc no contestó (ni ACK ni registros 0x55)');
+      return null;
+    }
+
+    this._log('info', 'Memoria: ' + parser.experimentLog.length + ' experimentos guardados');
+    return parser.experimentLog.slice();
+  }
+
+  /**
+   * Descarga las muestras de un experimento guardado.
+   *
+   * Las muestras llegan como paquetes 0x84 y se desvían a un buffer
+   * propio (_memoryCapture) en vez de salir por onData, para que no
+   * lleguen a la micro:bit como si fueran datos en vivo.
+   *
+   * EXPERIMENTAL: el comando es una hipótesis (ver buildDownloadExperiment).
+   * Si el Labdisc no contesta con 0x84, o contesta con el log (0x55, el
+   * mismo código 0x45 sin payload), se avisa en el log en vez de devolver
+   * una tabla vacía sin explicación.
+   *
+   * @param {Object} record - Registro 0x55 (de fetchExperimentLog)
+   * @returns {Promise<Object[]>} Un objeto `values` por muestra (mismo formato que onData)
+   */
+  async downloadExperiment(record) {
+    if (!this._checkIdle('descargar un experimento')) return [];
+
+    var samples = [];
+    var logBefore = this.parser.experimentLog.length;
+    this._memoryCapture = samples;
+    try {
+      await this._sendRaw(buildDownloadExperiment(record.index), 'DownloadExperiment #' + record.index);
+      await this._waitIdle(function() { return samples.length; }, DOWNLOAD_IDLE_MS, DOWNLOAD_FIRST_MS);
+    } finally {
+      this._memoryCapture = null;
+    }
+
+    // Registros 0x55 que llegaron en lugar de (o junto con) las muestras
+    var logRecords = this.parser.experimentLog.length - logBefore;
+    this.parser.experimentLog.length = logBefore;
+
+    if (samples.length === 0) {
+      this._log('warn', 'DownloadExperiment #' + record.index + ' (experimental): el Labdisc no mandó muestras 0x84' +
+        (logRecords > 0 ? ', contestó con ' + logRecords + ' registros del log 0x55' : ' ni otra respuesta') +
+        '. El comando no está confirmado con una captura de GlobiLab X.');
+    } else {
+      if (logRecords > 0) {
+        this._log('warn', 'DownloadExperiment #' + record.index + ': llegaron también ' + logRecords +
+          ' registros 0x55 — revisá que las muestras sean del experimento pedido');
+      }
+      this._log('info', 'Experimento #' + record.index + ': ' + samples.length + ' muestras descargadas (experimental)');
+    }
+    return samples;
+  }
+
+  /**
+   * Borra la memoria del Labdisc (0x48 ResetClear) y verifica.
+   *
+   * No hay captura de GlobiLab X con este comando: asumimos que contesta
+   * con un ACK 0x83 (sub=0x48) como los demás, pero no dependemos de eso.
+   * La verificación es leer el log de nuevo (0x45) y que venga vacío.
+   *
+   * La confirmación del usuario es responsabilidad de quien llama
+   * (ver Bridge.clearDeviceMemory).
+   *
+   * @returns {Promise<{ok: boolean, log: Object[]|null}>} log = lectura de
+   *   verificación (null si no se pudo enviar el comando o la lectura no
+   *   tuvo respuesta: en ese caso ok es false, no hay evidencia del borrado)
+   */
+  async clearMemory() {
+    if (!this._checkIdle('borrar la memoria')) return { ok: false, log: null };
+
+    var ack = this._waitForStatus(CMD.RESET_CLEAR, CLEAR_TIMEOUT_MS);
+    await this.sendCommand(CMD.RESET_CLEAR, 'ResetClear');
+    if (!(await ack)) {
+      this._log('warn', 'ResetClear sin ACK — verificando igual');
+    }
+
+    var log = await this.fetchExperimentLog();
+    if (log === null) {
+      this._log('err', 'No se pudo verificar el borrado: la lectura de la memoria no tuvo respuesta');
+      return { ok: false, log: null };
+    }
+    if (log.length > 0) {
+      this._log('err', 'Memoria NO borrada: quedan ' + log.length + ' experimentos');
+      return { ok: false, log: log };
+    }
+
+    this._log('info', 'Memoria del Labdisc borrada');
+    return { ok: true, log: log };
+  }
+
   // ─── Private: polling ───
 
   /**
@@ -321,16 +974,38 @@ export class LabdiscConnection {
    * Si estamos en proceso de desconexión, no hace nada. Esto previene
    * que un tick del Web Worker llegue durante el shutdown y tome el
    * writer lock, causando un deadlock con port.close().
+   *
+   * Va por la misma cola que _sendRaw() (_txChain): un GetSensorStatus
+   * del watchdog o un comando del banco de pruebas no le sacan el writer
+   * a un poll. Si el poll anterior todavía está en la cola, este tick se
+   * saltea (no se acumulan polls atrasados).
    */
-  async _sendPoll() {
+  _sendPoll() {
     // Guard: no escribir si estamos desconectando o ya desconectado
     if (this._disconnecting || !this.port || !this.isConnected) return;
+    if (this._pollQueued) return;
+
+    var self = this;
+    this._pollQueued = true;
+    this._txChain = this._txChain.then(function() {
+      return self._writePoll();
+    }).then(function() {
+      self._pollQueued = false;
+    });
+    return this._txChain;
+  }
+
+  /** Escritura de _sendPoll(), con el mismo guard (pudo cambiar mientras esperaba). */
+  async _writePoll() {
+    if (this._disconnecting || !this.port || !this.isConnected) return;
 
     var writer = null;
     try {
       writer = this.port.writable.getWriter();
       await writer.write(CMD_POLL);
       this._pollSentCount++;
+      if (this.recorder) this.recorder.tx(CMD_POLL, 'Poll');
+      this.linkStats.pollSent();
     } catch (e) {
       if (!this._disconnecting) {
         this._log('err', 'Poll TX error: ' + e.message);
@@ -345,6 +1020,24 @@ export class LabdiscConnection {
     }
   }
 
+  /**
+   * Marca como sin dato los sensores fuera de activeMask(). En poll el
+   * 0x81 trae todos los slots, y a más Hz que su maxHz un sensor lento
+   * repite la última lectura: no hay que mandarla como si fuera nueva.
+   * En push el Labdisc ya los excluye (bit en 0 en la máscara del 0x84).
+   * Las reproducciones se muestran tal como se grabaron.
+   */
+  _excludeInactive(values) {
+    if (this._activeMode === AcquisitionMode.REPLAY) return;
+    var mask = this.activeMask();
+    for (var i = 0; i < this.sensorIds.length; i++) {
+      var sid = this.sensorIds[i];
+      if (!((mask >> i) & 1) && values[sid]) {
+        values[sid] = { raw: 0xFFFF, value: null, noData: true, excluded: true };
+      }
+    }
+  }
+
   // ─── Private: handshake commands ───
 
   /**
@@ -356,6 +1049,290 @@ export class LabdiscConnection {
     await this.sendCommand(code, name + ' [dup]');
   }
 
+  /**
+   * Arranca el read loop y hace el handshake sobre el port ya abierto
+   * (connect y cada reintento de _tryReconnect).
+   * @param {Object} opts - Mismas opciones que connect()
+   */
+  async _handshake(opts) {
+    // Iniciar el read loop. Guardamos la Promise para poder
+    // esperarla en disconnect().
+    this._readLoopDone = this._readLoop();
+
+    // Step 1: Get sensor IDs (duplicated, like GlobiLab X)
+    await this._sleep(300);
+    await this._sendDuplicated(CMD.GET_SENSOR_IDS, 'GetSensorIDs');
+
+    // Step 2: Get current status (duplicated)
+    await this._sleep(800);
+    await this._sendDuplicated(CMD.GET_SENSOR_STATUS, 'GetSensorStatus');
+
+    // Esperar un poco para que lleguen las respuestas del Labdisc
+    // (los paquetes 0x82 y 0x83 que el parser procesa en _readLoop)
+    await this._sleep(500);
+
+    // El reloj se sincroniza ANTES de marcar CONNECTED: al pasar a
+    // CONNECTED el Bridge puede arrancar el polling automáticamente.
+    if (opts.syncClock && !this._disconnecting && this.port) {
+      await this._syncClock();
+    }
+  }
+
+  /**
+   * Recién ahora marcamos CONNECTED — el handshake terminó,
+   * el parser ya tiene los sensorIds y el deviceStatus.
+   * Esto es lo que hace que el diagrama se ilumine en la UI.
+   */
+  _finishConnect() {
+    // Si el Labdisc ya estaba registrando (arrancado desde el propio
+    // dispositivo o en una sesión anterior), lo reflejamos.
+    if (this.deviceStatus && this.deviceStatus.active) {
+      this.logging = { startedAt: Date.now(), expectedMs: null,
+        rateIdx: this.deviceStatus.rateIdx, countIdx: this.deviceStatus.countIdx };
+      this._startLoggingStatus();
+      this._setState(ConnectionState.LOGGING);
+      this._log('info', 'Labdisc conectado — registro en curso en el dispositivo');
+    } else {
+      this._setState(ConnectionState.CONNECTED);
+      this._log('info', 'Labdisc conectado — handshake completo');
+    }
+    this._startStatusRefresh();
+  }
+
+  // ─── Private: push ───
+
+  /**
+   * Manda el 0x11 con el rate y la máscara de ahora y espera el ACK.
+   * @returns {Promise<number|null>} Rate en Hz, o null si no arrancó
+   */
+  async _armPush() {
+    var rateIdx = _nearestPushRate(this.pollHz);
+    var rateHz = RATE_TABLE[rateIdx].hz;
+    var mask = buildMaskForRate(this.sensorIds, rateHz, this.selectedIds, this.parser.externalSensorOverride);
+    if (mask === 0) {
+      this._log('warn', 'Push: ningún sensor elegido soporta ' + rateHz + ' Hz');
+      return null;
+    }
+
+    var ack = this._waitForStatus(CMD.START_EXPERIMENT, STATUS_TIMEOUT_MS);
+    this._pushSamples = 0;
+    await this._sendRaw(buildStartExperiment((mask >> 8) & 0xFF, mask & 0xFF, rateIdx, PUSH_COUNT_IDX), 'StartExperiment');
+    if (!(await ack)) {
+      this._log('err', 'StartExperiment sin ACK — stream push no arrancó');
+      return null;
+    }
+
+    this._log('info', 'Push a ' + rateHz + ' Hz (mask=0x' + mask.toString(16) + ')');
+    return rateHz;
+  }
+
+  /**
+   * Cuenta una muestra del push y lo re-arma antes de que el Labdisc
+   * llegue a la cantidad pedida en el 0x11 y corte el stream por su cuenta.
+   */
+  _countPushSample() {
+    this._pushSamples++;
+    var limit = COUNT_TABLE[PUSH_COUNT_IDX] - Math.ceil(this.pollHz * PUSH_REARM_MARGIN_S);
+    if (this._pushSamples === limit && !this._pushReconfig) {
+      this._log('info', 'Push: ' + this._pushSamples + ' muestras, re-armando antes del fin (' +
+        COUNT_TABLE[PUSH_COUNT_IDX] + ')');
+      this._reconfigurePush();
+    }
+  }
+
+  // ─── Private: watchdog de silencio ───
+
+  /**
+   * Un escalón del SilenceWatchdog. El stream sigue en curso (STALLED)
+   * hasta que llega un paquete o se llega a reabrir el port.
+   * @param {string} step - WatchdogStep
+   * @param {number} silenceMs
+   */
+  async _onSilence(step, silenceMs) {
+    if (!this.isStreaming || this._activeMode === AcquisitionMode.REPLAY) return;
+    var secs = (silenceMs / 1000).toFixed(1) + ' s';
+
+    switch (step) {
+      case WatchdogStep.WARN:
+        this._log('warn', 'Sin datos del Labdisc hace ' + secs);
+        this._setState(ConnectionState.STALLED);
+        break;
+
+      case WatchdogStep.STATUS: {
+        var pending = this._waitForStatus(CMD.GET_SENSOR_STATUS, STATUS_TIMEOUT_MS);
+        await this.sendCommand(CMD.GET_SENSOR_STATUS, 'GetSensorStatus (watchdog)');
+        var status = await pending;
+        if (!status) {
+          this._log('warn', 'El Labdisc tampoco contesta GetSensorStatus');
+        } else {
+          this._log('warn', 'El Labdisc contesta el estado pero no manda datos');
+        }
+        break;
+      }
+
+      case WatchdogStep.RESTART:
+        this._log('warn', 'Sin datos hace ' + secs + ' — re-arrancando el stream');
+        await this._restartStream();
+        break;
+
+      case WatchdogStep.REOPEN:
+        this._linkLost('sin datos hace ' + secs);
+        break;
+    }
+  }
+
+  /**
+   * Re-arranca el stream sin pasar por CONNECTED (el Bridge lo tomaría
+   * como "stream detenido") ni volver a cero el watchdog.
+   */
+  async _restartStream() {
+    if (this._activeMode === AcquisitionMode.POLL) {
+      var self = this;
+      this._pollTimer.stop();
+      this._pollTimer.start(Math.round(1000 / this.pollHz), function() { self._sendPoll(); });
+    } else if (this._activeMode === AcquisitionMode.PUSH) {
+      var ack = this._waitForStatus(CMD.STOP_LOGIN, STATUS_TIMEOUT_MS);
+      await this.sendCommand(CMD.STOP_LOGIN, 'StopExperiment (watchdog)');
+      await ack;
+      if (this._activeMode === AcquisitionMode.PUSH) await this._armPush();
+    }
+  }
+
+  _silenceRecovered() {
+    this._log('info', 'Datos del Labdisc otra vez');
+    if (this.state === ConnectionState.STALLED) this._setState(ConnectionState.STREAMING);
+  }
+
+  // ─── Private: reconexión ───
+
+  /**
+   * El enlace se cayó sin disconnect() (error de lectura, evento
+   * disconnect del port). Cierra lo que quede abierto y pasa a
+   * RECONNECTING; sin autoReconnect, directamente a DISCONNECTED.
+   * @param {string} reason
+   */
+  async _linkLost(reason) {
+    if (this._disconnecting || this._reconnect) return;
+    if (this.state === ConnectionState.DISCONNECTED || this.state === ConnectionState.CONNECTING) return;
+
+    if (!this.autoReconnect || !this._lastPort) {
+      this._log('err', 'Enlace perdido (' + reason + ')');
+      await this.disconnect();
+      return;
+    }
+
+    var streaming = this._activeMode === AcquisitionMode.POLL || this._activeMode === AcquisitionMode.PUSH;
+    this._reconnect = {
+      attempt: 0,
+      timer: null,
+      resume: streaming ? { mode: this._activeMode, hz: this.pollHz } : null,
+    };
+    this._log('warn', 'Enlace perdido (' + reason + ') — reconectando' +
+      (streaming ? ', se retoma el stream a ' + this.pollHz + ' Hz' : ''));
+
+    this._pollTimer.stop();
+    this.watchdog.stop();
+    this._stopLoggingStatus();
+    this._stopStatusRefresh();
+    this._activeMode = null;
+    this._memoryCapture = null;
+    this._resolveStatusWaiters(null);
+    await this._closePort();
+
+    if (!this._reconnect) return;  // disconnect() mientras cerrábamos
+    this._setState(ConnectionState.RECONNECTING);
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    var r = this._reconnect;
+    if (r.attempt >= RECONNECT_ATTEMPTS) {
+      this._log('err', 'No se pudo reconectar después de ' + RECONNECT_ATTEMPTS + ' intentos');
+      this._reconnect = null;
+      this.parser.reset();
+      this.deviceStatus = null;
+      this.logging = null;
+      this._unwatchSerialEvents();
+      this._setState(ConnectionState.DISCONNECTED);
+      return;
+    }
+
+    var delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, r.attempt));
+    r.attempt++;
+    this._log('info', 'Reintento ' + r.attempt + '/' + RECONNECT_ATTEMPTS + ' en ' + (delay / 1000) + ' s');
+    var self = this;
+    r.timer = setTimeout(function() { self._tryReconnect(); }, delay);
+  }
+
+  /** Un reintento: abrir el mismo port, handshake y retomar el stream. */
+  async _tryReconnect() {
+    var r = this._reconnect;
+    if (!r || this.port) return;  // cancelado, o ya hay un intento abierto
+    r.timer = null;
+
+    try {
+      var port = this._lastPort;
+      this.port = port;
+      await port.open({ baudRate: BAUD_RATE });
+      if (this._reconnect !== r) {
+        // disconnect() durante open(): ya soltó el port, que quedó abierto
+        try { await port.close(); } catch (e) { /* ignore */ }
+        if (this.port === port) this.port = null;
+        return;
+      }
+      this.parser.reset();
+      await this._handshake({});
+      if (this._reconnect !== r) return;  // disconnect() durante el handshake
+      if (this.sensorIds.length === 0) throw new Error('el Labdisc no respondió al handshake');
+
+      this._reconnect = null;
+      this._log('info', 'Labdisc reconectado (intento ' + r.attempt + ')');
+
+      var deviceActive = this.deviceStatus && this.deviceStatus.active;
+      if (deviceActive && r.resume && r.resume.mode === AcquisitionMode.PUSH) {
+        // Es nuestro 0x11, que siguió corriendo sin nadie escuchando:
+        // cortarlo antes de re-armarlo (si no, parecería un registro)
+        var ack = this._waitForStatus(CMD.STOP_LOGIN, STATUS_TIMEOUT_MS);
+        await this.sendCommand(CMD.STOP_LOGIN, 'StopExperiment');
+        await ack;
+        deviceActive = false;
+      }
+
+      if (r.resume && !deviceActive) {
+        // Directo de RECONNECTING a STREAMING: sin pasar por CONNECTED,
+        // así el auto-stream del Bridge no arranca un segundo stream
+        // pollHz sigue siendo el de antes (salvo que el usuario lo cambie mientras tanto)
+        this._startStatusRefresh();
+        await this.startAcquisition();
+        if (!this.isStreaming) this._setState(ConnectionState.CONNECTED);
+      } else {
+        this._finishConnect();
+      }
+    } catch (e) {
+      this._log('warn', 'Reintento ' + r.attempt + ' fallido: ' + e.message);
+      await this._closePort();
+      if (this._reconnect === r) this._scheduleReconnect();
+    }
+  }
+
+  /** Cierra reader y port sin cambiar el estado (reconexión). */
+  async _closePort() {
+    this._disconnecting = true;
+    try {
+      if (this.reader) await this.reader.cancel();
+    } catch (e) { /* ignore */ }
+    if (this._readLoopDone) {
+      try { await this._readLoopDone; } catch (e) { /* ignore */ }
+    }
+    try {
+      if (this.port) await this.port.close();
+    } catch (e) { /* ignore */ }
+    this.reader = null;
+    this.port = null;
+    this._readLoopDone = null;
+    this._disconnecting = false;
+  }
+
   // ─── Private: read loop ───
 
   /**
@@ -374,6 +1351,7 @@ export class LabdiscConnection {
    * garantizando que el lock se libera incluso si hay errores.
    */
   async _readLoop() {
+    var lost = null;
     while (this.port && !this._disconnecting) {
       try {
         this.reader = this.port.readable.getReader();
@@ -385,6 +1363,7 @@ export class LabdiscConnection {
               break;
             }
             if (result.value && result.value.length > 0) {
+              if (this.recorder) this.recorder.rx(result.value);
               this.parser.feed(result.value);
             }
           }
@@ -398,6 +1377,7 @@ export class LabdiscConnection {
         // Error de lectura — puede ser desconexión física del Labdisc
         if (!this._disconnecting) {
           this._log('err', 'Read error: ' + e.message);
+          lost = e.message;
         }
         // Intentar liberar por si el finally no corrió
         if (this.reader) {
@@ -409,16 +1389,30 @@ export class LabdiscConnection {
     }
 
     this._log('info', 'Read loop terminado');
+
+    // Sin await: _linkLost() espera a _readLoopDone, que es esta misma función
+    if (lost !== null) this._linkLost(lost);
   }
 
   // ─── Private: send ───
 
   /**
    * Envía un paquete raw al Labdisc.
-   * Igual que _sendPoll, chequea _disconnecting y usa try/finally
-   * para garantizar que el writer lock siempre se libera.
+   * Las escrituras se encolan en _txChain: dos comandos a la vez (ej. un
+   * StopExperiment y un comando de la micro:bit) no compiten por el writer
+   * lock ("WritableStream is locked"). Nunca rechaza.
+   */
+  _sendRaw(pkt, name) {
+    var self = this;
+    this._txChain = this._txChain.then(function() { return self._writeRaw(pkt, name); });
+    return this._txChain;
+  }
+
+  /**
+   * Escritura de _sendRaw(). Igual que _sendPoll, chequea _disconnecting
+   * y usa try/finally para garantizar que el writer lock siempre se libera.
    */
-  async _sendRaw(pkt, name) {
+  async _writeRaw(pkt, name) {
     if (this._disconnecting || !this.port || !this.isConnected) return;
 
     var writer = null;
@@ -426,6 +1420,7 @@ export class LabdiscConnection {
       writer = this.port.writable.getWriter();
       await writer.write(pkt);
       this._log('tx', fmtHex(pkt) + ' (' + name + ')');
+      if (this.recorder) this.recorder.tx(pkt, name);
     } catch (e) {
       if (!this._disconnecting) {
         this._log('err', 'TX error: ' + e.message);
@@ -437,6 +1432,252 @@ export class LabdiscConnection {
     }
   }
 
+  // ─── Private: port ───
+
+  /**
+   * Obtiene el port serial. DemoLabdisc (simulator.js) lo reemplaza
+   * por un port virtual con la misma interfaz que SerialPort.
+   *
+   * Sin el selector si ya hay un port autorizado (getPorts): el último
+   * que usamos, o el único que hay. Con varios, o con choosePort, se
+   * abre el selector del navegador.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.choosePort] - Mostrar el selector igual
+   * @param {boolean} [options.noPrompt] - Nunca mostrar el selector (auto-conexión)
+   */
+  async _requestPort(options) {
+    var opts = options || {};
+    if (!opts.choosePort) {
+      var ports = await navigator.serial.getPorts();
+      if (this._lastPort && ports.indexOf(this._lastPort) !== -1) return this._lastPort;
+      if (ports.length === 1) return ports[0];
+    }
+    if (opts.noPrompt) {
+      var err = new Error('No hay un port autorizado');
+      err.name = 'NotFoundError';
+      throw err;
+    }
+    return navigator.serial.requestPort();
+  }
+
+  /**
+   * Escucha connect/disconnect de navigator.serial (una vez por conexión,
+   * hasta _unwatchSerialEvents):
+   * - disconnect del port en uso → igual que un error de lectura
+   * - connect del port perdido → reintentar ya, sin esperar el backoff
+   */
+  _watchSerialEvents() {
+    if (this._serialEvents || typeof navigator === 'undefined' || !navigator.serial ||
+        !navigator.serial.addEventListener) return;
+
+    var self = this;
+    this._serialEvents = {
+      disconnect: function(e) {
+        if (self.port && e.target === self.port) self._linkLost('port desconectado');
+      },
+      connect: function(e) {
+        if (self._reconnect && e.target === self._lastPort) {
+          self._log('info', 'El port volvió — reintentando');
+          clearTimeout(self._reconnect.timer);
+          self._tryReconnect();
+        }
+      },
+    };
+    navigator.serial.addEventListener('disconnect', this._serialEvents.disconnect);
+    navigator.serial.addEventListener('connect', this._serialEvents.connect);
+  }
+
+  /** Saca los listeners de _watchSerialEvents (desconectado o reintentos agotados). */
+  _unwatchSerialEvents() {
+    if (!this._serialEvents) return;
+    navigator.serial.removeEventListener('disconnect', this._serialEvents.disconnect);
+    navigator.serial.removeEventListener('connect', this._serialEvents.connect);
+    this._serialEvents = null;
+  }
+
+  // ─── Private: request/response helpers ───
+
+  /**
+   * Devuelve una Promise que se resuelve con el próximo 0x83 cuyo
+   * sub-type coincida, o con null si vence el timeout o se desconecta.
+   *
+   * Hay que llamarla ANTES de enviar el comando, para no perder un
+   * ACK que llegue muy rápido.
+   */
+  _waitForStatus(sub, timeoutMs) {
+    var self = this;
+    return new Promise(function(resolve) {
+      var waiter = { sub: sub, resolve: resolve, timer: 0 };
+      waiter.timer = setTimeout(function() {
+        self._statusWaiters = self._statusWaiters.filter(function(w) { return w !== waiter; });
+        resolve(null);
+      }, timeoutMs);
+      self._statusWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * Resuelve los waiters de _waitForStatus que esperan este sub-type.
+   * Con status = null los resuelve todos (desconexión).
+   */
+  _resolveStatusWaiters(status) {
+    var pending = [];
+    for (var i = 0; i < this._statusWaiters.length; i++) {
+      var w = this._statusWaiters[i];
+      if (status === null || w.sub === status.subType) {
+        clearTimeout(w.timer);
+        w.resolve(status);
+      } else {
+        pending.push(w);
+      }
+    }
+    this._statusWaiters = pending;
+  }
+
+  /**
+   * Espera a que termine una ráfaga de respuestas.
+   * Termina cuando getCount() deja de crecer durante idleMs, o cuando
+   * pasan firstMs sin que llegue nada.
+   */
+  async _waitIdle(getCount, idleMs, firstMs) {
+    var initial = getCount();
+    var last = initial;
+    var lastChange = Date.now();
+    var start = lastChange;
+
+    while (this.isConnected && !this._disconnecting) {
+      await this._sleep(100);
+      var now = Date.now();
+      var count = getCount();
+      if (count !== last) {
+        last = count;
+        lastChange = now;
+      } else if (count === initial) {
+        if (now - start >= firstMs) break;
+      } else if (now - lastChange >= idleMs) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * SetDateTime + verificación por GetSensorStatus (ver syncClock).
+   * Sin chequeo de estado: connect() la usa durante el handshake.
+   */
+  async _syncClock() {
+    await this._sendRaw(buildSetDateTime(new Date()), 'SetDateTime');
+    await this._sleep(300);
+
+    var pending = this._waitForStatus(CMD.GET_SENSOR_STATUS, STATUS_TIMEOUT_MS);
+    await this.sendCommand(CMD.GET_SENSOR_STATUS, 'GetSensorStatus (verificar reloj)');
+    var status = await pending;
+
+    if (!status) {
+      this._log('warn', 'Reloj: sin respuesta de estado para verificar');
+      return false;
+    }
+
+    var deviceTime = _statusToDate(status);
+    var diff = deviceTime ? Math.abs(deviceTime.getTime() - Date.now()) / 1000 : Infinity;
+    if (diff > CLOCK_TOLERANCE_S) {
+      this._log('err', 'Reloj NO sincronizado: Labdisc marca ' + status.date + ' ' + status.time);
+      return false;
+    }
+
+    this._log('info', 'Reloj sincronizado: ' + status.date + ' ' + status.time);
+    return true;
+  }
+
+  // ─── Private: replay ───
+
+  _stopReplay() {
+    if (!this._replay) return;
+    this._replay.stop();
+    this._log('info', 'Reproducción detenida');
+    this._endReplay();
+  }
+
+  /**
+   * Al terminar una reproducción volvemos a DISCONNECTED (no a CONNECTED):
+   * no hay Labdisc real detrás, y CONNECTED haría que el Bridge arranque
+   * el polling automáticamente contra un port inexistente.
+   */
+  _endReplay() {
+    this._replay = null;
+    this._activeMode = null;
+    this.parser.reset();
+    this.deviceStatus = null;
+    this._setState(ConnectionState.DISCONNECTED);
+  }
+
+  // ─── Private: registro en el dispositivo ───
+
+  /**
+   * GetSensorStatus cada STATUS_REFRESH_MS, solo en CONNECTED: durante el
+   * registro ya lo hace _startLoggingStatus, y con stream activo no
+   * mezclamos comandos. Tampoco durante una descarga de memoria.
+   */
+  _startStatusRefresh() {
+    this._stopStatusRefresh();
+    var self = this;
+    this._statusRefreshTimer = setInterval(function() {
+      if (self.state !== ConnectionState.CONNECTED || self.statusRefreshPaused || self._memoryCapture) return;
+      self.sendCommand(CMD.GET_SENSOR_STATUS, 'GetSensorStatus (refresco)');
+    }, STATUS_REFRESH_MS);
+  }
+
+  _stopStatusRefresh() {
+    if (this._statusRefreshTimer) {
+      clearInterval(this._statusRefreshTimer);
+      this._statusRefreshTimer = null;
+    }
+  }
+
+  _startLoggingStatus() {
+    this._stopLoggingStatus();
+    var self = this;
+    this._loggingStatusTimer = setInterval(function() {
+      self.sendCommand(CMD.GET_SENSOR_STATUS, 'GetSensorStatus (registro)');
+    }, LOGGING_STATUS_MS);
+  }
+
+  _stopLoggingStatus() {
+    if (this._loggingStatusTimer) {
+      clearInterval(this._loggingStatusTimer);
+      this._loggingStatusTimer = null;
+    }
+  }
+
+  /**
+   * Un GetStatus con active=false durante LOGGING significa que el
+   * Labdisc terminó de grabar (llegó a la cantidad de muestras).
+   */
+  _checkLoggingStatus(status) {
+    if (this.state !== ConnectionState.LOGGING) return;
+    if (status.subType === CMD.GET_SENSOR_STATUS && !status.active) {
+      this._endLogging('Registro completo');
+    }
+  }
+
+  _endLogging(msg) {
+    this._stopLoggingStatus();
+    this.logging = null;
+    this._log('info', msg);
+    if (this.state === ConnectionState.LOGGING) this._setState(ConnectionState.CONNECTED);
+  }
+
+  /** Comandos de configuración/memoria: necesitan el puerto libre de polling. */
+  _checkIdle(action) {
+    if (this.state !== ConnectionState.CONNECTED) {
+      this._log('warn', this.isStreaming
+        ? 'Detené el stream antes de ' + action
+        : 'Labdisc no conectado');
+      return false;
+    }
+    return true;
+  }
+
   // ─── Private: helpers ───
 
   _setState(newState) {
@@ -447,4 +1688,30 @@ export class LabdiscConnection {
 
   _log(type, msg) { if (this.onLog) this.onLog(type, msg); }
   _sleep(ms) { return new Promise(function(r) { setTimeout(r, ms); }); }
-}
\ No newline at end of file
+}
+
+/**
+ * Fecha/hora de un status 0x83 ("DD/MM/20YY", "HH:MM:SS") como Date local.
+ * @returns {Date|null} null si los campos BCD no son válidos
+ */
+function _statusToDate(status) {
+  var d = status.date.split('/').map(Number);
+  var t = status.time.split(':').map(Number);
+  if (d.concat(t).some(function(n) { return !Number.isFinite(n); })) return null;
+  return new Date(d[2], d[1] - 1, d[0], t[0], t[1], t[2]);
+}
+
+function _sensorName(sid) {
+  return SENSORS[sid] ? SENSORS[sid].name : 'ID ' + sid;
+}
+
+/** Rate index de 0x11 más cercano a hz (entre PUSH_RATES). */
+function _nearestPushRate(hz) {
+  var best = PUSH_RATES[0];
+  for (var i = 1; i < PUSH_RATES.length; i++) {
+    if (Math.abs(RATE_TABLE[PUSH_RATES[i]].hz - hz) < Math.abs(RATE_TABLE[best].hz - hz)) {
+      best = PUSH_RATES[i];
+    }
+  }
+  return best;
+}
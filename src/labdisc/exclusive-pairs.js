@@ -0,0 +1,129 @@
+/**
+ * exclusive-pairs.js — Lado activo de los pares exclusivos (EXCLUSIVE_PAIRS)
+ *
+ * Voltaje/Corriente y Sonido/Micrófono comparten un botón físico: el
+ * Labdisc reporta los dos IDs y manda los dos slots, pero solo uno mide.
+ * El inactivo queda quieto en su raw de reposo (PAIR_IDLE_RAW) y, sin
+ * este filtro, llegaba a la micro:bit como un 0 V de verdad.
+ *
+ * Por cada par presente en la lista de IDs (0x82) se guardan los raws de
+ * los últimos PAIR_WINDOW_MS (y al menos las últimas MIN_SAMPLES muestras,
+ * para que a 1 Hz también decida). Un lado está "en reposo" si TODAS sus
+ * muestras de la ventana caen a ±PAIR_IDLE_TOLERANCE de su reposo:
+ *
+ *   reposo A, B se mueve → activo B (y al revés)
+ *   los dos en reposo    → se mantiene la decisión anterior
+ *   los dos se mueven    → se mantiene la decisión anterior
+ *
+ * Como hace falta una ventana entera en reposo, un cambio de botón se
+ * detecta ~PAIR_WINDOW_MS después y no oscila con un cruce por cero.
+ * El lado inactivo se marca { noData: true, inactivePair: true }.
+ */
+
+import { EXCLUSIVE_PAIRS, PAIR_IDLE_RAW, PAIR_IDLE_TOLERANCE } from './protocol.js';
+
+/** Ventana de muestras para decidir (ms) */
+export const PAIR_WINDOW_MS = 2000;
+
+/** Muestras mínimas por lado antes de decidir */
+const MIN_SAMPLES = 4;
+
+export class ExclusivePairDetector {
+  constructor() {
+    /** Pares con los dos IDs presentes en el último 0x82 */
+    this.pairs = [];
+
+    /** nombre del par → ID activo, o null si todavía no se sabe */
+    this.active = {};
+
+    /**
+     * @type {function({pair: Object, active: number, inactive: number, previous: number|null})}
+     * Cambió el lado activo (previous = null en la primera detección)
+     */
+    this.onSwitch = null;
+
+    /** ID → [{t, raw}] */
+    this._samples = {};
+  }
+
+  /**
+   * Pares a seguir según la lista de IDs. Si un par aparece con un solo
+   * ID, ese lado es el único que hay y no se toca.
+   * @param {number[]} sensorIds
+   */
+  setSensorIds(sensorIds) {
+    this.pairs = EXCLUSIVE_PAIRS.filter(function(p) {
+      return sensorIds.indexOf(p.ids[0]) !== -1 && sensorIds.indexOf(p.ids[1]) !== -1;
+    });
+    this.active = {};
+    this._samples = {};
+  }
+
+  /**
+   * Suma un paquete a la ventana y marca el lado inactivo en values.
+   * @param {Object} values - sensorId → { raw, value, noData }
+   * @param {number} [now=Date.now()]
+   */
+  update(values, now) {
+    var t = now !== undefined ? now : Date.now();
+
+    for (var i = 0; i < this.pairs.length; i++) {
+      var pair = this.pairs[i];
+      var a = pair.ids[0];
+      var b = pair.ids[1];
+      this._push(a, values[a], t);
+      this._push(b, values[b], t);
+
+      var idleA = this._isIdle(a);
+      var idleB = this._isIdle(b);
+      if (idleA !== null && idleB !== null && idleA !== idleB) {
+        this._setActive(pair, idleA ? b : a);
+      }
+
+      var active = this.active[pair.name];
+      if (active) {
+        var inactive = active === a ? b : a;
+        var prev = values[inactive];
+        if (prev) values[inactive] = { raw: prev.raw, value: null, noData: true, inactivePair: true };
+      }
+    }
+  }
+
+  /** @returns {{name: string, ids: number[], active: number|null}[]} */
+  getState() {
+    var self = this;
+    return this.pairs.map(function(p) {
+      return { name: p.name, ids: p.ids, active: self.active[p.name] || null };
+    });
+  }
+
+  // ─── Private ───
+
+  _push(sid, data, t) {
+    var list = this._samples[sid] || (this._samples[sid] = []);
+    // 0xFFFF: fuera de la máscara del 0x84, no dice nada del botón
+    if (data && data.raw !== 0xFFFF) list.push({ t: t, raw: data.raw });
+    // A menos de MIN_SAMPLES por ventana (1 Hz) se conservan las últimas MIN_SAMPLES
+    while (list.length > MIN_SAMPLES && t - list[0].t > PAIR_WINDOW_MS) list.shift();
+  }
+
+  /** true/false, o null si todavía no hay muestras suficientes */
+  _isIdle(sid) {
+    var list = this._samples[sid];
+    if (!list || list.length < MIN_SAMPLES) return null;
+    var rest = PAIR_IDLE_RAW[sid];
+    for (var i = 0; i < list.length; i++) {
+      if (Math.abs(list[i].raw - rest) > PAIR_IDLE_TOLERANCE) return false;
+    }
+    return true;
+  }
+
+  _setActive(pair, sid) {
+    var previous = this.active[pair.name] || null;
+    if (previous === sid) return;
+    this.active[pair.name] = sid;
+    if (this.onSwitch) {
+      this.onSwitch({ pair: pair, active: sid, inactive: sid === pair.ids[0] ? pair.ids[1] : pair.ids[0], previous: previous });
+    }
+  }
+}
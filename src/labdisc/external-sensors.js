@@ -0,0 +1,277 @@
+/**
+ * external-sensors.js — Registro de sensores externos definidos por el usuario
+ *
+ * EXTERNAL_SENSORS (sensors.js) trae los que ya identificamos (CO₂ = 128).
+ * Las sondas micro-USB que aparecen con IDs desconocidos se registran
+ * desde la UI y se guardan en localStorage, sin tocar el código.
+ *
+ * Definición guardada (JSON, una por ID):
+ *
+ *   {
+ *     id: 130, name: 'O₂', unit: '%', dec: 1, factor: 10,
+ *     replacesId: 32,              ← slot del 0x81/0x84 que ocupa
+ *     maxHz: 10,
+ *     formula: { type: 'linear', gain: 0.01, offset: -5 }
+ *   }
+ *
+ * Fórmulas (nunca se evalúa código del usuario):
+ *   linear → value = raw × gain + offset
+ *   poly   → value = c0 + c1·raw + c2·raw² + ...   { coeffs: [c0, c1, ...] }
+ *   table  → interpolación lineal entre puntos { points: [[raw, value], ...] },
+ *            con el valor del extremo fuera de rango (como convertExtTemp)
+ *
+ * LabdiscParser consulta el registro (parser.externalRegistry) junto con
+ * el catálogo incluido al recibir la lista de IDs (0x82).
+ */
+
+import { SENSORS, EXTERNAL_SENSORS } from './sensors.js';
+
+export const FormulaType = Object.freeze({
+  LINEAR: 'linear',
+  POLY:   'poly',
+  TABLE:  'table',
+});
+
+/** Clave de localStorage */
+const STORAGE_KEY = 'labdisc.externalSensors';
+
+/** Los IDs de sensores externos empiezan en 128 (ver _parseSensorIds) */
+export const EXTERNAL_ID_MIN = 128;
+export const EXTERNAL_ID_MAX = 255;
+
+/** maxHz si la definición no lo trae (el más bajo de los sensores lentos) */
+const DEFAULT_MAX_HZ = 10;
+
+/**
+ * Arma la función de conversión de una fórmula.
+ * @param {Object} formula
+ * @returns {function(number): number}
+ * @throws {Error} si la fórmula no es válida
+ */
+export function compileFormula(formula) {
+  if (!formula) throw new Error('Falta la fórmula');
+
+  switch (formula.type) {
+    case FormulaType.LINEAR: {
+      var gain = Number(formula.gain);
+      var offset = Number(formula.offset || 0);
+      if (!Number.isFinite(gain) || !Number.isFinite(offset)) throw new Error('Lineal: gain/offset inválidos');
+      return function(r) { return r * gain + offset; };
+    }
+
+    case FormulaType.POLY: {
+      var coeffs = (formula.coeffs || []).map(Number);
+      if (coeffs.length === 0 || !coeffs.every(Number.isFinite)) throw new Error('Polinomio: coeficientes inválidos');
+      return function(r) {
+        // Horner: c0 + r(c1 + r(c2 + ...))
+        var v = 0;
+        for (var i = coeffs.length - 1; i >= 0; i--) v = v * r + coeffs[i];
+        return v;
+      };
+    }
+
+    case FormulaType.TABLE: {
+      var pts = (formula.points || []).map(function(p) { return [Number(p[0]), Number(p[1])]; });
+      if (pts.length < 2 || !pts.every(function(p) { return Number.isFinite(p[0]) && Number.isFinite(p[1]); })) {
+        throw new Error('Tabla: hacen falta al menos 2 puntos raw/valor');
+      }
+      pts.sort(function(a, b) { return a[0] - b[0]; });
+      for (var k = 1; k < pts.length; k++) {
+        if (pts[k][0] === pts[k - 1][0]) throw new Error('Tabla: raw repetido (' + pts[k][0] + ')');
+      }
+      return function(r) {
+        if (r <= pts[0][0]) return pts[0][1];
+        if (r >= pts[pts.length - 1][0]) return pts[pts.length - 1][1];
+        var i = 1;
+        while (pts[i][0] < r) i++;
+        var a = pts[i - 1];
+        var b = pts[i];
+        return a[1] + (r - a[0]) * (b[1] - a[1]) / (b[0] - a[0]);
+      };
+    }
+
+    default:
+      throw new Error('Tipo de fórmula desconocido: ' + formula.type);
+  }
+}
+
+/**
+ * Fórmula desde el texto del formulario:
+ *   linear → "gain, offset"
+ *   poly   → "c0, c1, c2, ..."
+ *   table  → un punto por línea: "raw valor" (o "raw, valor")
+ * @throws {Error} si el texto no se puede leer
+ */
+export function formulaFromText(type, text) {
+  var nums = function(line) {
+    return line.split(/[\s,;]+/).filter(Boolean).map(function(t) {
+      var n = Number(t);
+      if (!Number.isFinite(n)) throw new Error('Número inválido: "' + t + '"');
+      return n;
+    });
+  };
+
+  var formula;
+  if (type === FormulaType.LINEAR) {
+    var p = nums(text);
+    formula = { type: type, gain: p[0], offset: p[1] || 0 };
+  } else if (type === FormulaType.POLY) {
+    formula = { type: type, coeffs: nums(text) };
+  } else if (type === FormulaType.TABLE) {
+    formula = { type: type, points: text.split('\n').filter(function(l) { return l.trim(); }).map(nums) };
+  } else {
+    throw new Error('Tipo de fórmula desconocido: ' + type);
+  }
+
+  compileFormula(formula);
+  return formula;
+}
+
+/** Inversa de formulaFromText (para editar una definición guardada) */
+export function formulaToText(formula) {
+  if (formula.type === FormulaType.LINEAR) return formula.gain + ', ' + (formula.offset || 0);
+  if (formula.type === FormulaType.POLY) return formula.coeffs.join(', ');
+  if (formula.type === FormulaType.TABLE) return formula.points.map(function(p) { return p[0] + ' ' + p[1]; }).join('\n');
+  return '';
+}
+
+/**
+ * Valida una definición y la normaliza (números, defaults).
+ * @param {Object} def
+ * @returns {Object} Definición lista para guardar
+ * @throws {Error} con un mensaje para mostrar en la UI
+ */
+export function validateExternalSensor(def) {
+  var id = Number(def.id);
+  if (!Number.isInteger(id) || id < EXTERNAL_ID_MIN || id > EXTERNAL_ID_MAX) {
+    throw new Error('El ID tiene que estar entre ' + EXTERNAL_ID_MIN + ' y ' + EXTERNAL_ID_MAX);
+  }
+  if (EXTERNAL_SENSORS[id]) throw new Error('El ID ' + id + ' ya está en el catálogo (' + EXTERNAL_SENSORS[id].name + ')');
+  if (!def.name || !String(def.name).trim()) throw new Error('Falta el nombre');
+
+  var replacesId = Number(def.replacesId);
+  var slot = SENSORS[replacesId];
+  if (!slot) throw new Error('Slot a reemplazar desconocido: ' + def.replacesId);
+  // _toSensor lee 2 bytes: GPS (12) y los slots sin conversión no sirven
+  if (!slot.convert || slot.bytes !== 2) throw new Error('El slot ' + slot.name + ' no se puede reemplazar (solo sensores de 2 bytes)');
+
+  var dec = Number(def.dec);
+  var factor = Number(def.factor);
+  if (!Number.isInteger(dec) || dec < 0 || dec > 6) throw new Error('Decimales: entre 0 y 6');
+  if (!Number.isFinite(factor) || factor <= 0) throw new Error('Factor UART inválido');
+
+  compileFormula(def.formula);  // tira Error si no sirve
+
+  return {
+    id: id,
+    name: String(def.name).trim(),
+    unit: String(def.unit || '').trim(),
+    dec: dec,
+    factor: factor,
+    replacesId: replacesId,
+    maxHz: Number(def.maxHz) > 0 ? Number(def.maxHz) : DEFAULT_MAX_HZ,
+    formula: def.formula,
+  };
+}
+
+/**
+ * Definición guardada → objeto con la misma forma que EXTERNAL_SENSORS
+ * (name, unit, dec, bytes, factor, maxHz, replacesId, convert).
+ */
+function _toSensor(def) {
+  return {
+    name: def.name,
+    unit: def.unit,
+    dec: def.dec,
+    bytes: 2,
+    factor: def.factor,
+    maxHz: def.maxHz,
+    replacesId: def.replacesId,
+    convert: compileFormula(def.formula),
+    userDefined: true,
+  };
+}
+
+export class ExternalSensorRegistry {
+  /**
+   * @param {Storage} [storage] - Default: localStorage si existe (en Node no hay:
+   *   el registro queda solo en memoria)
+   */
+  constructor(storage) {
+    this._storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    /** @type {Object[]} Definiciones tal como se guardan */
+    this.definitions = [];
+
+    /** id → sensor compilado */
+    this._sensors = {};
+
+    /** @type {function()} El registro cambió */
+    this.onChange = null;
+
+    this.load();
+  }
+
+  /** Lee las definiciones guardadas. Las inválidas se descartan. */
+  load() {
+    this.definitions = [];
+    this._sensors = {};
+    if (!this._storage) return;
+
+    var list;
+    try {
+      list = JSON.parse(this._storage.getItem(STORAGE_KEY) || '[]');
+    } catch (e) {
+      list = [];
+    }
+    if (!Array.isArray(list)) list = [];  // "null", "3", {...}: editado a mano
+
+    for (var i = 0; i < list.length; i++) {
+      try {
+        this._put(validateExternalSensor(list[i]));
+      } catch (e) {
+        // definición vieja o editada a mano: se ignora
+      }
+    }
+  }
+
+  /**
+   * Agrega o reemplaza una definición.
+   * @param {Object} def
+   * @throws {Error} si no es válida
+   */
+  add(def) {
+    var clean = validateExternalSensor(def);
+    this.definitions = this.definitions.filter(function(d) { return d.id !== clean.id; });
+    this._put(clean);
+    this._save();
+    return clean;
+  }
+
+  remove(id) {
+    this.definitions = this.definitions.filter(function(d) { return d.id !== id; });
+    delete this._sensors[id];
+    this._save();
+  }
+
+  /**
+   * Sensor externo por ID: primero el catálogo incluido, después el del usuario.
+   * @returns {Object|null}
+   */
+  lookup(id) {
+    return EXTERNAL_SENSORS[id] || this._sensors[id] || null;
+  }
+
+  // ─── Private ───
+
+  _put(def) {
+    this.definitions.push(def);
+    this.definitions.sort(function(a, b) { return a.id - b.id; });
+    this._sensors[def.id] = _toSensor(def);
+  }
+
+  _save() {
+    if (this._storage) this._storage.setItem(STORAGE_KEY, JSON.stringify(this.definitions));
+    if (this.onChange) this.onChange();
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * gps-track.js — Recorrido GPS con los valores de los otros sensores
+ *
+ * Para salidas de campo: cada fix del GPS (ID 7, ~1 Hz) se guarda como un
+ * punto con hora y con lo que medían los demás sensores en ese momento
+ * (ej. temperatura a lo largo de una caminata).
+ *
+ *   { t: ms, lat, lon, vel, ang, values: { sensorId: valor } }
+ *
+ * lat/lon 0/0 es "sin fix" (igual que _extractGPSField en formatter.js) y
+ * no se guarda. Si el stream va más rápido que el GPS, el mismo fix llega
+ * repetido: se guarda una sola vez.
+ *
+ * Exporta a GPX 1.1 (valores como <extensions>) y a KML 2.2 (gx:Track con
+ * ExtendedData por sensor), los dos abren en Google Earth y en las apps
+ * de mapas sin conexión.
+ */
+
+import { SENSORS } from './sensors.js';
+
+/** ID del GPS en SENSORS */
+export const GPS_SENSOR_ID = 7;
+
+/**
+ * Fix de un paquete, o null si no hay GPS o no tiene fix.
+ * @param {Object} values - Salida de LabdiscParser
+ * @returns {{lat: number, lon: number, vel: number, ang: number}|null}
+ */
+export function gpsFix(values) {
+  var g = values[GPS_SENSOR_ID];
+  if (!g || g.noData || !g.lat || !g.lon) return null;
+  var lat = g.lat.decimal;
+  var lon = g.lon.decimal;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  if (lat === 0 && lon === 0) return null;
+  return { lat: lat, lon: lon, vel: g.vel, ang: g.ang };
+}
+
+export class GpsTrack {
+  constructor() {
+    /** @type {Object[]} Puntos en orden de llegada */
+    this.points = [];
+  }
+
+  /**
+   * Agrega un punto si el paquete trae un fix nuevo.
+   * @param {Object} values - Salida de LabdiscParser
+   * @param {number} [t=Date.now()]
+   * @returns {boolean} true si se agregó
+   */
+  add(values, t) {
+    var fix = gpsFix(values);
+    if (!fix) return false;
+
+    var last = this.points[this.points.length - 1];
+    if (last && last.lat === fix.lat && last.lon === fix.lon && last.vel === fix.vel) return false;
+
+    var readings = {};
+    for (var key in values) {
+      var sid = Number(key);
+      var d = values[key];
+      if (sid === GPS_SENSOR_ID || !SENSORS[sid] || !d || d.noData || d.value === null) continue;
+      readings[sid] = d.value;
+    }
+
+    fix.t = t !== undefined ? t : Date.now();
+    fix.values = readings;
+    this.points.push(fix);
+    return true;
+  }
+
+  clear() {
+    this.points = [];
+  }
+
+  /** Sensor IDs con al menos un valor en el recorrido (para elegir el color) */
+  sensorIds() {
+    var seen = {};
+    this.points.forEach(function(p) {
+      for (var sid in p.values) seen[sid] = true;
+    });
+    return Object.keys(seen).map(Number).sort(function(a, b) { return a - b; });
+  }
+
+  /** Distancia total en metros (haversine entre puntos consecutivos) */
+  distanceM() {
+    var total = 0;
+    for (var i = 1; i < this.points.length; i++) {
+      total += haversineM(this.points[i - 1], this.points[i]);
+    }
+    return total;
+  }
+}
+
+/** Distancia en metros entre dos {lat, lon} */
+export function haversineM(a, b) {
+  var R = 6371000;
+  var rad = Math.PI / 180;
+  var dLat = (b.lat - a.lat) * rad;
+  var dLon = (b.lon - a.lon) * rad;
+  var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * GPX 1.1. Los valores de los sensores van en <extensions> de cada punto
+ * (labdisc:s id="30" name="Temp Amb" unit="°C">22.5</labdisc:s>).
+ * @param {GpsTrack} track
+ * @param {string} [name]
+ */
+export function trackToGPX(track, name) {
+  var title = _xml(name || 'Labdisc');
+  var pts = track.points.map(function(p) {
+    var ext = Object.keys(p.values).map(function(sid) {
+      var s = SENSORS[sid];
+      return '          <labdisc:s id="' + sid + '" name="' + _xml(s.name) + '" unit="' + _xml(s.unit) + '">' +
+        p.values[sid].toFixed(s.dec) + '</labdisc:s>';
+    });
+    return '      <trkpt lat="' + p.lat.toFixed(6) + '" lon="' + p.lon.toFixed(6) + '">\n' +
+      '        <time>' + new Date(p.t).toISOString() + '</time>\n' +
+      '        <extensions>\n' +
+      '          <labdisc:vel>' + p.vel + '</labdisc:vel>\n' +
+      '          <labdisc:ang>' + p.ang + '</labdisc:ang>\n' +
+      (ext.length ? ext.join('\n') + '\n' : '') +
+      '        </extensions>\n' +
+      '      </trkpt>';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="microbit-labdisc-link" xmlns="http://www.topografix.com/GPX/1/1"\n' +
+    '     xmlns:labdisc="urn:microbit-labdisc-link:gpx">\n' +
+    '  <trk>\n' +
+    '    <name>' + title + '</name>\n' +
+    '    <trkseg>\n' +
+    pts.join('\n') + (pts.length ? '\n' : '') +
+    '    </trkseg>\n' +
+    '  </trk>\n' +
+    '</gpx>\n';
+}
+
+/**
+ * KML 2.2 con gx:Track: una coordenada y una hora por punto, y un
+ * SimpleArrayData por sensor (Google Earth los muestra en el perfil).
+ * @param {GpsTrack} track
+ * @param {string} [name]
+ */
+export function trackToKML(track, name) {
+  var title = _xml(name || 'Labdisc');
+  var ids = track.sensorIds();
+
+  var schema = ids.map(function(sid) {
+    var s = SENSORS[sid];
+    return '      <gx:SimpleArrayField name="s' + sid + '" type="float">' +
+      '<displayName>' + _xml(s.name + (s.unit ? ' (' + s.unit + ')' : '')) + '</displayName></gx:SimpleArrayField>';
+  });
+
+  var when = track.points.map(function(p) { return '        <when>' + new Date(p.t).toISOString() + '</when>'; });
+  var coords = track.points.map(function(p) {
+    return '        <gx:coord>' + p.lon.toFixed(6) + ' ' + p.lat.toFixed(6) + ' 0</gx:coord>';
+  });
+  var data = ids.map(function(sid) {
+    var dec = SENSORS[sid].dec;
+    return '          <gx:SimpleArrayData name="s' + sid + '">\n' +
+      track.points.map(function(p) {
+        return '            <gx:value>' + (p.values[sid] !== undefined ? p.values[sid].toFixed(dec) : '') + '</gx:value>';
+      }).join('\n') + '\n' +
+      '          </gx:SimpleArrayData>';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+    '  <Document>\n' +
+    '    <name>' + title + '</name>\n' +
+    '    <Schema id="labdisc">\n' + schema.join('\n') + (schema.length ? '\n' : '') + '    </Schema>\n' +
+    '    <Placemark>\n' +
+    '      <name>' + title + '</name>\n' +
+    '      <gx:Track>\n' +
+    when.join('\n') + (when.length ? '\n' : '') +
+    coords.join('\n') + (coords.length ? '\n' : '') +
+    '        <ExtendedData>\n' +
+    '          <SchemaData schemaUrl="#labdisc">\n' +
+    data.join('\n') + (data.length ? '\n' : '') +
+    '          </SchemaData>\n' +
+    '        </ExtendedData>\n' +
+    '      </gx:Track>\n' +
+    '    </Placemark>\n' +
+    '  </Document>\n' +
+    '</kml>\n';
+}
+
+function _xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
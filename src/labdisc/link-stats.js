@@ -0,0 +1,180 @@
+/**
+ * link-stats.js — Calidad del enlace serial con el Labdisc
+ *
+ * Lleva estadísticas en una ventana deslizante (WINDOW_MS) para saber
+ * si una curva rara es física o son muestras perdidas:
+ *
+ * - Polling: cada 0x55 enviado espera un 0x81. Los que no se contestan
+ *   en POLL_TIMEOUT_MS cuentan como perdidos. La latencia es el tiempo
+ *   entre el poll más viejo pendiente y la respuesta (las respuestas
+ *   llegan en orden).
+ * - Push (0x84): el byte [7] es un contador de 8 bits. Un salto mayor
+ *   a 1 (módulo 256, con wraparound 255 → 0) son paquetes perdidos.
+ * - Parser: checksums inválidos y bytes descartados al re-sincronizar.
+ */
+
+/** Ventana de las estadísticas */
+const WINDOW_MS = 10000;
+
+/** Poll sin respuesta después de este tiempo = perdido */
+const POLL_TIMEOUT_MS = 1000;
+
+/** Umbrales de pérdida para el indicador */
+const LOSS_FAIR = 0.02;
+const LOSS_BAD = 0.10;
+
+export const LinkHealth = Object.freeze({
+  IDLE: 'idle',
+  GOOD: 'good',
+  FAIR: 'fair',
+  BAD:  'bad',
+});
+
+export class LinkStats {
+  constructor() {
+    this.reset();
+  }
+
+  /** Borra todo (al arrancar un stream nuevo). */
+  reset() {
+    /** Timestamps de polls enviados sin respuesta todavía */
+    this._pendingPolls = [];
+
+    /** Último contador 0x84 visto, o null */
+    this._lastCounter = null;
+
+    /**
+     * Eventos de la ventana: { t, kind, n }
+     * kind: 'rx' (paquete ok), 'lost' (n perdidos), 'badsum', 'resync' (n bytes)
+     */
+    this._events = [];
+
+    /** Latencias de la ventana: { t, ms } */
+    this._latencies = [];
+
+    /** Totales desde el último reset */
+    this.totals = { received: 0, lost: 0, badChecksums: 0, resyncBytes: 0 };
+  }
+
+  /** Se envió un poll 0x55. */
+  pollSent() {
+    var now = Date.now();
+    this._expirePolls(now);
+    this._pendingPolls.push(now);
+  }
+
+  /**
+   * Llegó un paquete de datos válido (0x81 o 0x84).
+   * @param {number|undefined} counter - values._counter de un 0x84
+   */
+  dataReceived(counter) {
+    var now = Date.now();
+    this._expirePolls(now);
+
+    if (this._pendingPolls.length > 0) {
+      var sentAt = this._pendingPolls.shift();
+      this._latencies.push({ t: now, ms: now - sentAt });
+    }
+
+    if (counter !== undefined) {
+      if (this._lastCounter !== null) {
+        var missing = ((counter - this._lastCounter) & 0xFF) - 1;
+        if (missing > 0) this._add(now, 'lost', missing);
+      }
+      this._lastCounter = counter;
+    }
+
+    this._add(now, 'rx', 1);
+  }
+
+  /** El parser descartó un paquete por checksum inválido. */
+  badChecksum() {
+    this._add(Date.now(), 'badsum', 1);
+  }
+
+  /**
+   * El parser descartó bytes buscando un header.
+   * @param {number} bytes - Cantidad de bytes descartados
+   */
+  resync(bytes) {
+    this._add(Date.now(), 'resync', bytes);
+  }
+
+  /**
+   * Estadísticas de la ventana actual.
+   * @returns {{received: number, lost: number, lossRate: number, badChecksums: number,
+   *   resyncBytes: number, latencyMs: number|null, latencyMaxMs: number|null,
+   *   health: string, totals: Object}}
+   */
+  getStats() {
+    var now = Date.now();
+    this._expirePolls(now);
+    this._prune(now);
+
+    var sum = { rx: 0, lost: 0, badsum: 0, resync: 0 };
+    for (var i = 0; i < this._events.length; i++) {
+      sum[this._events[i].kind] += this._events[i].n;
+    }
+
+    var latencyMs = null;
+    var latencyMaxMs = null;
+    if (this._latencies.length > 0) {
+      var total = 0;
+      latencyMaxMs = 0;
+      for (var j = 0; j < this._latencies.length; j++) {
+        total += this._latencies[j].ms;
+        latencyMaxMs = Math.max(latencyMaxMs, this._latencies[j].ms);
+      }
+      latencyMs = Math.round(total / this._latencies.length);
+    }
+
+    var expected = sum.rx + sum.lost;
+    var lossRate = expected > 0 ? sum.lost / expected : 0;
+
+    var health = LinkHealth.IDLE;
+    if (expected > 0) {
+      if (lossRate >= LOSS_BAD) health = LinkHealth.BAD;
+      else if (lossRate >= LOSS_FAIR || sum.badsum > 0) health = LinkHealth.FAIR;
+      else health = LinkHealth.GOOD;
+    }
+
+    return {
+      received: sum.rx,
+      lost: sum.lost,
+      lossRate: lossRate,
+      badChecksums: sum.badsum,
+      resyncBytes: sum.resync,
+      latencyMs: latencyMs,
+      latencyMaxMs: latencyMaxMs,
+      health: health,
+      totals: this.totals,
+    };
+  }
+
+  // ─── Private ───
+
+  /** Polls pendientes más viejos que POLL_TIMEOUT_MS → perdidos. */
+  _expirePolls(now) {
+    var expired = 0;
+    while (this._pendingPolls.length > 0 && now - this._pendingPolls[0] > POLL_TIMEOUT_MS) {
+      this._pendingPolls.shift();
+      expired++;
+    }
+    if (expired > 0) this._add(now, 'lost', expired);
+  }
+
+  _add(t, kind, n) {
+    this._events.push({ t: t, kind: kind, n: n });
+    if (kind === 'rx') this.totals.received += n;
+    else if (kind === 'lost') this.totals.lost += n;
+    else if (kind === 'badsum') this.totals.badChecksums += n;
+    else if (kind === 'resync') this.totals.resyncBytes += n;
+    this._prune(t);
+  }
+
+  _prune(now) {
+    var cutoff = now - WINDOW_MS;
+    while (this._events.length > 0 && this._events[0].t < cutoff) this._events.shift();
+    while (this._latencies.length > 0 && this._latencies[0].t < cutoff) this._latencies.shift();
+  }
+}
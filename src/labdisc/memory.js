@@ -0,0 +1,116 @@
+/**
+ * memory.js — Experimentos guardados en la memoria del Labdisc
+ *
+ * Convierte las muestras descargadas (paquetes 0x84, ya convertidos por
+ * LabdiscParser con las fórmulas de SENSORS) en una tabla con una
+ * columna por sensor activo, lista para guardar como CSV.
+ *
+ * La tabla se arma con la máscara del registro 0x55, no con la de cada
+ * paquete: así las columnas quedan fijas aunque algún paquete venga
+ * incompleto.
+ */
+
+import { RATE_TABLE } from './protocol.js';
+import { SENSORS } from './sensors.js';
+
+/**
+ * Sensor IDs incluidos en una máscara, en el orden del dispositivo.
+ * @param {number} mask - Máscara de 16 bits (bit i = sensorIds[i])
+ * @param {number[]} sensorIds
+ * @returns {number[]}
+ */
+export function sensorsInMask(mask, sensorIds) {
+  var ids = [];
+  for (var i = 0; i < sensorIds.length; i++) {
+    if ((mask >> i) & 1) ids.push(sensorIds[i]);
+  }
+  return ids;
+}
+
+/**
+ * Arma la tabla de un experimento descargado.
+ *
+ * @param {Object} record - Registro 0x55 (index, sensorMask, rateIdx, date, time)
+ * @param {Object[]} samples - Objetos `values` de LabdiscParser, uno por muestra
+ * @param {number[]} sensorIds - Sensor IDs del dispositivo
+ * @returns {{ record: Object, columns: Object[], rows: Array[] }}
+ *   columns[0] es el tiempo; cada fila tiene un valor por columna (null = sin dato)
+ */
+export function buildSampleTable(record, samples, sensorIds) {
+  var rate = RATE_TABLE[record.rateIdx];
+  var hz = rate && rate.hz ? rate.hz : 0;
+
+  var columns = [{ key: 't', name: hz ? 'Tiempo' : 'Muestra', unit: hz ? 's' : '', dec: hz >= 10 ? 2 : 0 }];
+  var ids = sensorsInMask(record.sensorMask, sensorIds);
+
+  for (var i = 0; i < ids.length; i++) {
+    var sid = ids[i];
+    var s = SENSORS[sid];
+    if (sid === 7) {
+      columns.push({ key: 7, field: 'lat', name: 'GPS Lat', unit: '°', dec: 5 });
+      columns.push({ key: 7, field: 'lon', name: 'GPS Lon', unit: '°', dec: 5 });
+      columns.push({ key: 7, field: 'vel', name: 'GPS Vel', unit: 'km/h', dec: 1 });
+      continue;
+    }
+    columns.push({ key: sid, name: s ? s.name : '?(' + sid + ')', unit: s ? s.unit : '', dec: s ? s.dec : 3 });
+  }
+
+  var rows = [];
+  for (var n = 0; n < samples.length; n++) {
+    var values = samples[n];
+    var row = [hz ? n / hz : n];
+    for (var c = 1; c < columns.length; c++) {
+      row.push(_cellValue(values[columns[c].key], columns[c].field));
+    }
+    rows.push(row);
+  }
+
+  return { record: record, columns: columns, rows: rows };
+}
+
+/**
+ * Serializa una tabla de buildSampleTable a CSV.
+ * Primera línea: comentario con fecha/hora y rate del experimento.
+ */
+export function tableToCSV(table) {
+  var r = table.record;
+  var lines = ['# Labdisc experimento #' + r.index + ' — ' + r.date + ' ' + r.time + ' — ' + r.rateLabel];
+
+  lines.push(table.columns.map(function(col) {
+    return col.unit ? col.name + ' (' + col.unit + ')' : col.name;
+  }).join(','));
+
+  for (var i = 0; i < table.rows.length; i++) {
+    var row = table.rows[i];
+    lines.push(row.map(function(v, c) {
+      return v === null ? '' : v.toFixed(table.columns[c].dec);
+    }).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializa el log de experimentos (registros 0x55) a CSV.
+ * Para exportarlo antes de borrar la memoria del Labdisc.
+ */
+export function experimentLogToCSV(log) {
+  var lines = ['#,Fecha,Hora,Rate,Cantidad,Muestras,Máscara,Sensores'];
+  for (var i = 0; i < log.length; i++) {
+    var r = log[i];
+    lines.push([r.index, r.date, r.time, r.rateLabel, r.countLabel, r.samples,
+      '0x' + r.sensorMask.toString(16).padStart(4, '0'),
+      '"' + (r.sensors ? r.sensors.join(', ') : '') + '"'].join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function _cellValue(data, field) {
+  if (!data || data.noData) return null;
+  if (field === 'lat' || field === 'lon') {
+    var coord = data[field];
+    return coord && Number.isFinite(coord.decimal) ? coord.decimal : null;
+  }
+  if (field) return Number.isFinite(data[field]) ? data[field] : null;
+  return data.value === null || data.value === undefined ? null : data.value;
+}
@@ -3,6 +3,15 @@
  * 
  * Handles incoming byte stream from the Labdisc, detects packet boundaries,
  * verifies checksums, and dispatches parsed data via callbacks.
+ *
+ * Buffer: ring buffer Uint8Array preasignado (RING_SIZE). La búsqueda de
+ * header, el checksum y el largo se calculan por índice sobre el ring,
+ * sin splice/unshift. Los paquetes se entregan a los handlers como vista
+ * (subarray) cuando son contiguos en el ring, o copiados a un scratch
+ * cuando dan la vuelta — en ambos casos son válidos SOLO durante el
+ * handler (no guardar la referencia).
+ * 
+ * Ver bench/parser-bench.mjs para throughput antes/después.
  * 
  * Packet types supported:
  * - 0x55: Experiment log record (18 bytes, fixed) ← NUEVO
@@ -13,13 +22,32 @@
  * - 0x85: Config response (variable, trigger desconocido)
  */
 
-import { RSP, FIXED_LENGTHS, NO_DATA_0x8000, NO_DATA_0x0000, STATUS_SUB, RATE_TABLE, COUNT_TABLE, verifyChecksum } from './protocol.js';
+import { RSP, FIXED_LENGTHS, NO_DATA_0x8000, NO_DATA_0x0000, STATUS_SUB, RATE_TABLE, COUNT_TABLE,
+  LABDISC_MODELS, STATUS_EXTRA_START, STATUS_EXTRA_END } from './protocol.js';
 import { SENSORS, EXTERNAL_SENSORS, decodeGPSCoord } from './sensors.js';
+import { ExclusivePairDetector } from './exclusive-pairs.js';
+
+/** Capacidad del ring buffer (potencia de 2, > paquete máximo de 800 bytes) */
+const RING_SIZE = 4096;
+const RING_MASK = RING_SIZE - 1;
+
+/** Largo máximo aceptado para un paquete de largo variable */
+const MAX_PACKET = 800;
 
 export class LabdiscParser {
   constructor() {
-    /** @type {number[]} Accumulation buffer for incoming bytes */
-    this.buffer = [];
+    /** @type {Uint8Array} Ring buffer for incoming bytes */
+    this._ring = new Uint8Array(RING_SIZE);
+
+    /** Posiciones absolutas de lectura/escritura (índice real = pos & RING_MASK) */
+    this._head = 0;
+    this._tail = 0;
+
+    /** Bytes necesarios antes de volver a intentar armar un paquete */
+    this._need = 4;
+
+    /** @type {Uint8Array} Copia de paquetes que cruzan el final del ring */
+    this._scratch = new Uint8Array(MAX_PACKET);
 
     /** @type {number[]} Sensor IDs in the order reported by the device */
     this.sensorIds = [];
@@ -31,6 +59,27 @@ export class LabdiscParser {
      */
     this.externalSensorOverride = null;
 
+    /**
+     * Sensores externos definidos por el usuario (external-sensors.js).
+     * Se consultan además de EXTERNAL_SENSORS.
+     * @type {ExternalSensorRegistry|null}
+     */
+    this.externalRegistry = null;
+
+    /**
+     * Calibraciones del usuario (calibration.js), aplicadas después de
+     * la fórmula de fábrica en _convertRaw.
+     * @type {CalibrationStore|null}
+     */
+    this.calibration = null;
+
+    /** Lado activo de Voltaje/Corriente y Sonido/Micrófono (exclusive-pairs.js) */
+    this.pairs = new ExclusivePairDetector();
+    this.pairs.onSwitch = (e) => { if (this.onPairSwitch) this.onPairSwitch(e); };
+
+    /** @type {number[]} Lista completa del último 0x82 (incluye externos) */
+    this.reportedIds = [];
+
     /** @type {number} Running count of data packets received */
     this.packetCount = 0;
 
@@ -62,88 +111,194 @@ export class LabdiscParser {
      * @type {function(number, number[])} (type, bytes)
      */
     this.onRawPacket = null;
+
+    /**
+     * Called when a packet is dropped for a bad checksum.
+     * @type {function(number)} (type)
+     */
+    this.onBadChecksum = null;
+
+    /**
+     * Called when bytes are discarded while searching for a header.
+     * @type {function(number)} (discarded byte count)
+     */
+    this.onResync = null;
+
+    /**
+     * Called for every packet with a valid checksum, before dispatch
+     * (protocol workbench). The packet is a view into the ring buffer:
+     * copy it if you keep it.
+     * @type {function(number, Uint8Array)} (type, packet)
+     */
+    this.onPacket = null;
+
+    /**
+     * Called when the active side of an exclusive pair changes (button flip).
+     * @type {function(Object)} ({pair, active, inactive, previous})
+     */
+    this.onPairSwitch = null;
   }
 
   /**
    * Feed raw bytes into the parser.
    * Call this with each chunk received from the serial port.
+   * Chunks of any size are accepted: if a chunk doesn't fit in the ring,
+   * it's written in slices with the buffer processed in between.
    * @param {Uint8Array} bytes 
    */
   feed(bytes) {
-    for (const b of bytes) this.buffer.push(b);
-    this._processBuffer();
+    if (!(bytes instanceof Uint8Array)) bytes = Uint8Array.from(bytes);
+    let offset = 0;
+    while (offset < bytes.length) {
+      const room = RING_SIZE - (this._tail - this._head);
+      if (room === 0) {
+        // Ring lleno sin un paquete completo — solo pasa con basura
+        // (un header falso que pide más bytes de los que hay). Soltar 1 byte.
+        this._discard(1);
+        continue;
+      }
+      const n = Math.min(room, bytes.length - offset);
+      if (n < 64) {
+        // Chunks chicos (lo normal en Web Serial): copiar byte a byte
+        // sale más barato que crear dos subarray para set()
+        for (let i = 0; i < n; i++) this._ring[(this._tail + i) & RING_MASK] = bytes[offset + i];
+      } else {
+        const start = this._tail & RING_MASK;
+        const first = Math.min(n, RING_SIZE - start);
+        this._ring.set(bytes.subarray(offset, offset + first), start);
+        if (first < n) this._ring.set(bytes.subarray(offset + first, offset + n), 0);
+      }
+      this._tail += n;
+      offset += n;
+
+      // Si ya sabemos que falta para completar el paquete actual, no re-escanear
+      if (this._tail - this._head >= this._need) this._processBuffer();
+    }
+  }
+
+  /** Bytes pending in the buffer (not yet part of a complete packet) */
+  get buffered() {
+    return this._tail - this._head;
   }
 
   /** Reset parser state */
   reset() {
-    this.buffer = [];
+    this._head = 0;
+    this._tail = 0;
+    this._need = 4;
     this.sensorIds = [];
+    this.reportedIds = [];
     this.packetCount = 0;
     this.experimentLog = [];
     this.externalSensorOverride = null;
+    this.pairs.setSensorIds([]);
+  }
+
+  /**
+   * Vuelve a clasificar la última lista de IDs (el registro de sensores
+   * externos cambió). No hace nada si todavía no llegó un 0x82.
+   */
+  reapplySensorIds() {
+    if (this.reportedIds.length === 0) return;
+    this._applySensorIds(this.reportedIds);
   }
 
   // ─── Private: buffer processing ───
 
+  /**
+   * Extrae todos los paquetes completos del ring.
+   * Cada vuelta consume al menos 1 byte o sale, así que no hace falta
+   * tope de iteraciones.
+   */
   _processBuffer() {
-    const buf = this.buffer;
-    let safety = 0;
+    const ring = this._ring;
+    this._need = 4;
+
+    while (this._tail - this._head >= 4) {
+      const head = this._head;
+      const avail = this._tail - head;
 
-    while (buf.length >= 4 && safety++ < 50) {
       // Find response header 0x2E 0x69
       let hdr = -1;
-      for (let i = 0; i < buf.length - 1; i++) {
-        if (buf[i] === 0x2E && buf[i + 1] === 0x69) { hdr = i; break; }
+      for (let i = 0; i < avail - 1; i++) {
+        if (ring[(head + i) & RING_MASK] === 0x2E && ring[(head + i + 1) & RING_MASK] === 0x69) {
+          hdr = i;
+          break;
+        }
       }
 
-      // No header found — keep last 2 bytes (might be partial header)
+      // No header found — keep the last byte (might be a partial header)
       if (hdr === -1) {
-        if (buf.length > 200) buf.splice(0, buf.length - 2);
+        this._discard(avail - 1);
         break;
       }
 
       // Discard bytes before header
-      if (hdr > 0) buf.splice(0, hdr);
-      if (buf.length < 4) break;
+      if (hdr > 0) this._discard(hdr);
+      if (this._tail - this._head < 4) break;
 
       // Determine packet length
-      const type = buf[2];
-      let len = this._getPacketLength(type, buf);
-
-      if (len === null) {
-        // Unknown type — skip this byte and try again
-        buf.splice(0, 1);
-        continue;
-      }
+      const type = ring[(this._head + 2) & RING_MASK];
+      const len = this._getPacketLength(type, ring[(this._head + 3) & RING_MASK]);
 
-      if (len < 4 || len > 800) {
-        buf.splice(0, 1);
+      if (len === null || len < 4 || len > MAX_PACKET) {
+        // Unknown type / bad length — skip this byte and try again
+        this._discard(1);
         continue;
       }
 
       // Wait for complete packet
-      if (buf.length < len) break;
+      if (this._tail - this._head < len) {
+        this._need = len;
+        return;
+      }
 
-      // Extract packet
-      const pkt = buf.splice(0, len);
+      // Verify checksum over the ring (sum of all bytes ≡ 0 mod 256)
+      let sum = 0;
+      for (let i = 0; i < len; i++) sum += ring[(this._head + i) & RING_MASK];
 
-      // Verify checksum
-      if (verifyChecksum(pkt)) {
+      if ((sum & 0xFF) === 0) {
+        const pkt = this._packetView(len);
+        this._head += len;
+        if (this.onPacket) this.onPacket(type, pkt);
         this._handlePacket(type, pkt);
       } else {
-        // Bad checksum — re-inject from byte 1 to retry sync
-        this._log('warn', `Bad checksum, resync (type=0x${type.toString(16)}, ${pkt.length}b)`);
-        for (let i = pkt.length - 1; i >= 1; i--) buf.unshift(pkt[i]);
-        if (safety > 30) buf.splice(0, 10);
+        // Bad checksum — drop byte 0 and resync from byte 1
+        this._log('warn', `Bad checksum, resync (type=0x${type.toString(16)}, ${len}b)`);
+        if (this.onBadChecksum) this.onBadChecksum(type);
+        this._discard(1);
       }
     }
   }
 
+  /**
+   * Vista de los próximos len bytes del ring: subarray si son contiguos,
+   * copia en _scratch si cruzan el final.
+   */
+  _packetView(len) {
+    const start = this._head & RING_MASK;
+    if (start + len <= RING_SIZE) return this._ring.subarray(start, start + len);
+
+    const first = RING_SIZE - start;
+    this._scratch.set(this._ring.subarray(start, RING_SIZE), 0);
+    this._scratch.set(this._ring.subarray(0, len - first), first);
+    return this._scratch.subarray(0, len);
+  }
+
+  /** Drop n bytes from the head of the buffer (resync). */
+  _discard(n) {
+    if (n <= 0) return;
+    this._head += n;
+    if (this.onResync) this.onResync(n);
+  }
+
   /**
    * Determine expected packet length for a given type.
+   * @param {number} type - byte[2]
+   * @param {number} lenByte - byte[3] (length for variable-length types)
    * @returns {number|null} Expected length, or null if unknown type
    */
-  _getPacketLength(type, buf) {
+  _getPacketLength(type, lenByte) {
     // Fixed-length types (0x55=18, 0x82=21, 0x83=33)
     if (type in FIXED_LENGTHS) return FIXED_LENGTHS[type];
 
@@ -151,7 +306,7 @@ export class LabdiscParser {
     if (type === RSP.ONLINE_DATA ||
         type === RSP.EXPERIMENT_DATA ||
         type === RSP.CONFIG) {
-      return buf.length >= 4 ? buf[3] : null;
+      return lenByte;
     }
 
     // Unknown type
@@ -245,27 +400,34 @@ export class LabdiscParser {
     for (let i = 3; i < pkt.length - 1; i++) {
       if (pkt[i] !== 0) ids.push(pkt[i]);
     }
+    this.reportedIds = ids;
+    this._applySensorIds(ids);
+  }
 
+  _applySensorIds(ids) {
     // Detect external sensors (ID >= 128) — they replace Ext Analog slot
     this.externalSensorOverride = null;
     const coreIds = [];
     for (const id of ids) {
-      if (EXTERNAL_SENSORS[id]) {
-        this.externalSensorOverride = EXTERNAL_SENSORS[id];
+      const ext = this._lookupExternal(id);
+      if (ext) {
+        this.externalSensorOverride = ext;
         this._log('info', `Sensor externo detectado: ${this.externalSensorOverride.name} (ID ${id}) → reemplaza ${this.externalSensorOverride.replacesId}`);
         // Don't add to coreIds — external sensor shares the slot of replacesId
       } else {
+        if (id >= 128) this._log('warn', `ID ${id} desconocido: si es una sonda externa, registrala en "Sensores externos"`);
         coreIds.push(id);
       }
     }
 
     this.sensorIds = coreIds;
+    this.pairs.setSensorIds(coreIds);
 
     this._log('rx', `SensorIDs: [${ids.join(',')}] (${ids.length} total, ${coreIds.length} core)`);
 
     const names = coreIds.map(id => {
       const s = SENSORS[id];
-      if (id === 32 && this.externalSensorOverride) {
+      if (this.externalSensorOverride && id === this.externalSensorOverride.replacesId) {
         return `${this.externalSensorOverride.name}(${id}←ext)`;
       }
       return s ? `${s.name}(${id})` : `?(${id})`;
@@ -275,6 +437,12 @@ export class LabdiscParser {
     if (this.onSensorIds) this.onSensorIds(ids);
   }
 
+  /** Sensor externo del catálogo incluido o del registro del usuario */
+  _lookupExternal(id) {
+    if (EXTERNAL_SENSORS[id]) return EXTERNAL_SENSORS[id];
+    return this.externalRegistry ? this.externalRegistry.lookup(id) : null;
+  }
+
   // ─── 0x83: Device Status / ACK ───
 
   _parseStatus(pkt) {
@@ -285,14 +453,19 @@ export class LabdiscParser {
       subType: sub,
       subName: STATUS_SUB[sub] || `Sub:0x${sub.toString(16)}`,
       model: pkt[4],
+      modelName: LABDISC_MODELS[pkt[4]] || `Modelo 0x${pkt[4].toString(16)}`,
       firmware: `${pkt[5]}.${pkt[6].toString(16).padStart(2, '0')}`,
       active: pkt[7] === 0x01,
+      unknown8: pkt[8],
       sensorMask: (pkt[9] << 8) | pkt[10],
       rateIdx: pkt[11],
       countIdx: pkt[12],
       date: `${bcd(13)}/${bcd(14)}/20${bcd(15)}`,
       time: `${bcd(16)}:${bcd(17)}:${bcd(18)}`,
       sensorCount: pkt[29],
+
+      // Bytes 19-28: sin decodificar, crudos (ver STATUS_EXTRA_START en protocol.js)
+      extra: Array.from(pkt.subarray(STATUS_EXTRA_START, STATUS_EXTRA_END)),
     };
 
     this._log('rx', `${status.subName}: ${status.date} ${status.time} | ${status.active ? 'ACTIVO' : 'idle'} | mask:0x${status.sensorMask.toString(16)}`);
@@ -387,7 +560,8 @@ export class LabdiscParser {
 
   /**
    * Convert a raw uint16 to a physical value.
-   * Returns { raw, value, noData } object.
+   * Returns { raw, value, noData } object (+ uncalibrated if a
+   * calibration was applied).
    */
   _convertRaw(sid, raw, sensor) {
     const isNoData = (raw === 0xFFFF)
@@ -410,6 +584,11 @@ export class LabdiscParser {
       }
     }
 
+    // Calibración del usuario: uncalibrated queda para capturar puntos nuevos
+    if (value !== null && this.calibration && this.calibration.get(sid)) {
+      return { raw, value: this.calibration.apply(sid, value), uncalibrated: value, noData: isNoData };
+    }
+
     return { raw, value, noData: isNoData };
   }
 
@@ -417,6 +596,8 @@ export class LabdiscParser {
    * Emit parsed sensor data through callback.
    */
   _emitData(values) {
+    this.pairs.update(values);
+
     // Log summary periodically
     if (this.packetCount <= 3 || this.packetCount % 10 === 0) {
       const summary = this.sensorIds
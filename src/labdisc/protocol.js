@@ -61,8 +61,31 @@ export const STATUS_SUB = Object.freeze({
   0x22: 'StartLoginACK',
   0x33: 'StopLoginACK',
   0x45: 'GetDeviceInfoACK',  // ← NUEVO: ACK del comando 0x45
+  0x48: 'ResetClearACK',     // Hipótesis: mismo patrón que los otros ACK, sin captura todavía
 });
 
+/**
+ * Byte [4] del 0x83 → variante del Labdisc.
+ * Sin confirmar: solo se vio 0x02 en nuestros equipos (Gensci). Si aparece
+ * otro valor se muestra como "Modelo 0x..": agregarlo acá al identificarlo.
+ */
+export const LABDISC_MODELS = Object.freeze({
+  0x02: 'Labdisc Gensci',
+});
+
+/**
+ * Bytes 19-28 del 0x83 — SIN DECODIFICAR.
+ *
+ * No hay ninguna captura que los explique. Ideas para probar con el banco
+ * de pruebas (workbench.js), ninguna confirmada: batería, memoria usada,
+ * muestras registradas, cantidad de experimentos guardados.
+ *
+ * _parseStatus los devuelve crudos en `extra` y no los interpreta; la UI
+ * los muestra tal cual hasta que una captura confirme qué son.
+ */
+export const STATUS_EXTRA_START = 19;
+export const STATUS_EXTRA_END = 29;
+
 /** Rate index → frequency (confirmed by testing) */
 export const RATE_TABLE = Object.freeze({
   0x00: { hz: 0,  label: 'Manual' },  // ← NUEVO: visto en log de experimentos
@@ -97,10 +120,30 @@ export const NO_DATA_0x0000 = new Set([
 // Nota sobre Voltaje(27) y Corriente(28):
 // Son un par exclusivo controlado por botón físico del Labdisc.
 // Cuando uno está inactivo, su raw flota cerca de 0x8000 (que convierte a ~0).
-// NO los filtramos como noData porque no podemos distinguir "inactivo en ~0"
-// de "activo midiendo ~0V/~0A". Ambos muestran su valor siempre.
-// Cuando el usuario conecta algo al sensor activo, ese mostrará el valor
-// real y el inactivo seguirá en ~0 — comportamiento correcto y no engañoso.
+// Un solo valor no alcanza para distinguir "inactivo en ~0" de "activo
+// midiendo ~0V/~0A": ExclusivePairDetector (exclusive-pairs.js) mira una
+// ventana de raws de los dos lados y solo decide cuando uno se mueve y el
+// otro queda quieto en su raw de reposo. Si los dos están quietos, se
+// mantiene la última decisión.
+
+/**
+ * Pares exclusivos (un botón del Labdisc elige el lado activo).
+ * Los dos IDs aparecen en el 0x82 y en el 0x81 aunque solo uno mida.
+ */
+export const EXCLUSIVE_PAIRS = Object.freeze([
+  Object.freeze({ ids: [27, 28], name: 'Voltaje / Corriente' }),
+  Object.freeze({ ids: [21, 33], name: 'Sonido / Micrófono' }),
+]);
+
+/**
+ * Raw de reposo del lado inactivo de cada par.
+ * 27/28: flota alrededor de 0x8000 (= 0 V / 0 A).
+ * 21: 0x0000 (ver NO_DATA_0x0000). 33: se asume igual que 21 (sin confirmar).
+ */
+export const PAIR_IDLE_RAW = Object.freeze({ 27: 0x8000, 28: 0x8000, 21: 0x0000, 33: 0x0000 });
+
+/** Margen en cuentas raw alrededor del reposo (~46 mV en 27, ~9 mA en 28) */
+export const PAIR_IDLE_TOLERANCE = 160;
 
 // ─── Checksum ───
 
@@ -138,8 +181,64 @@ export function buildCommandWithPayload(code, payload) {
  * @param {number} countIdx - Sample count index (0x00=10, 0x01=100, 0x03=10000)
  */
 export function buildStartExperiment(maskHi, maskLo, rateIdx, countIdx) {
-  const payload = [maskHi, maskLo, rateIdx, countIdx, 0, 0, 0, 0, 0, 0, 0, 0, 0];
-  return buildCommandWithPayload(CMD.START_EXPERIMENT, payload);
+  return buildCommandWithPayload(CMD.START_EXPERIMENT, _experimentPayload(maskHi, maskLo, rateIdx, countIdx));
+}
+
+/**
+ * Build StartLogin command (0x22) — registro en la memoria del Labdisc.
+ * Mismo payload que 0x11; el Labdisc responde con 0x83 sub=0x22
+ * (StartLoginACK) y graba sin enviar datos por serial.
+ * @param {number} maskHi - High byte of sensor mask
+ * @param {number} maskLo - Low byte of sensor mask
+ * @param {number} rateIdx - Rate index (ver RATE_TABLE)
+ * @param {number} countIdx - Sample count index (ver COUNT_TABLE)
+ */
+export function buildStartLogin(maskHi, maskLo, rateIdx, countIdx) {
+  return buildCommandWithPayload(CMD.START_LOGIN, _experimentPayload(maskHi, maskLo, rateIdx, countIdx));
+}
+
+function _experimentPayload(maskHi, maskLo, rateIdx, countIdx) {
+  return [maskHi, maskLo, rateIdx, countIdx, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+}
+
+/**
+ * Build DownloadExperiment request for a stored experiment.
+ *
+ * HIPÓTESIS (sin captura de sniffer todavía): GlobiLab X pide las muestras
+ * de un experimento guardado repitiendo 0x45 con el número de registro
+ * (byte[3] del 0x55) como payload. El Labdisc responde con paquetes 0x84
+ * con el mismo formato que el streaming de experimento.
+ *
+ * El Demo Labdisc implementa la misma hipótesis, así que el modo demo no
+ * la valida: en la UI la descarga figura como experimental y
+ * LabdiscConnection.downloadExperiment avisa si la respuesta no tiene
+ * esa forma.
+ *
+ * @param {number} index - Número de registro (record.index del 0x55)
+ */
+export function buildDownloadExperiment(index) {
+  return buildCommandWithPayload(CMD.GET_DEVICE_INFO, [index & 0xFF]);
+}
+
+/**
+ * Build SetDateTime command (0xCC).
+ *
+ * Payload en BCD con el mismo orden que el 0x83 devuelve en bytes 13-18
+ * (ver _parseStatus): DD MM YY hh mm ss.
+ *
+ * @param {Date} date - Fecha/hora local a grabar en el Labdisc
+ */
+export function buildSetDateTime(date) {
+  const payload = [
+    date.getDate(), date.getMonth() + 1, date.getFullYear() % 100,
+    date.getHours(), date.getMinutes(), date.getSeconds(),
+  ].map(toBCD);
+  return buildCommandWithPayload(CMD.SET_DATETIME, payload);
+}
+
+/** 0-99 → byte BCD (37 → 0x37) */
+export function toBCD(n) {
+  return ((Math.floor(n / 10) % 10) << 4) | (n % 10);
 }
 
 /** Format bytes as hex string for logging */
@@ -142,24 +142,57 @@ export const EXTERNAL_SENSORS = Object.freeze({
   // 129: { name: 'O₂', unit: 'ppm', ... },
 });
 
+/**
+ * maxHz de un slot, teniendo en cuenta el sensor externo que lo ocupa.
+ * @param {number} sid
+ * @param {Object|null} [extOverride] - parser.externalSensorOverride
+ * @returns {number} Infinity si el ID no está en el catálogo
+ */
+export function sensorMaxHz(sid, extOverride) {
+  if (extOverride && extOverride.replacesId === sid && extOverride.maxHz) return extOverride.maxHz;
+  return SENSORS[sid] ? SENSORS[sid].maxHz : Infinity;
+}
+
 /**
  * Build a sensor mask that excludes sensors below the target frequency.
  * 
  * @param {number[]} sensorIds - Sensor IDs in device order
  * @param {number} targetHz - Target frequency (e.g., 10)
+ * @param {number[]|null} [selectedIds] - Elegidos por el usuario (null = todos)
+ * @param {Object|null} [extOverride] - Sensor externo en el slot de Ext Analog
  * @returns {number} Bitmask with only compatible sensors
  */
-export function buildMaskForRate(sensorIds, targetHz) {
+export function buildMaskForRate(sensorIds, targetHz, selectedIds, extOverride) {
   let mask = 0;
   for (let i = 0; i < sensorIds.length; i++) {
-    const sensor = SENSORS[sensorIds[i]];
-    if (sensor && sensor.maxHz >= targetHz) {
+    const sid = sensorIds[i];
+    if (!SENSORS[sid]) continue;
+    if (selectedIds && selectedIds.indexOf(sid) === -1) continue;
+    if (sensorMaxHz(sid, extOverride) >= targetHz) {
       mask |= (1 << i);
     }
   }
   return mask;
 }
 
+/**
+ * Estado de cada sensor para una frecuencia (para la UI).
+ * 
+ * @param {number[]} sensorIds - Sensor IDs in device order
+ * @param {number} targetHz
+ * @param {number[]|null} [selectedIds] - null = todos
+ * @param {Object|null} [extOverride]
+ * @returns {{id: number, maxHz: number, selected: boolean, compatible: boolean, active: boolean}[]}
+ */
+export function sensorRateReport(sensorIds, targetHz, selectedIds, extOverride) {
+  return sensorIds.filter(sid => SENSORS[sid]).map(sid => {
+    const maxHz = sensorMaxHz(sid, extOverride);
+    const selected = !selectedIds || selectedIds.indexOf(sid) !== -1;
+    const compatible = maxHz >= targetHz;
+    return { id: sid, maxHz, selected, compatible, active: selected && compatible };
+  });
+}
+
 // ─── Standardized order for UART transmission ───
 
 /**
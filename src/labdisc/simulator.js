@@ -0,0 +1,547 @@
+/**
+ * simulator.js — Labdisc virtual ("Demo Labdisc")
+ *
+ * Para ensayar clases de MakeCode sin hardware y probar el pipeline
+ * completo sin browser (ver bench/demo-pipeline.mjs).
+ *
+ * Estructura:
+ *
+ *   DemoLabdisc ── extiende LabdiscConnection, misma API pública
+ *       │           (connect, startPolling, setHz, onData, onSensorIds, ...)
+ *       │           Solo cambia _requestPort().
+ *       ▼
+ *   VirtualSerialPort ── misma interfaz que SerialPort de Web Serial
+ *       │                 (open/close, readable, writable)
+ *       ▼
+ *   VirtualLabdisc ── recibe los comandos que escribe la conexión y
+ *                      responde con paquetes 0x82/0x83/0x81/0x84/0x55
+ *                      con checksum correcto.
+ *
+ * Así todo lo que hace LabdiscConnection (handshake, polling, push,
+ * memoria, registro, reloj) corre igual contra el simulador.
+ *
+ * Los valores salen de formas de onda configurables por sensor ID y se
+ * pasan a raw invirtiendo numéricamente las fórmulas de SENSORS
+ * (rawForValue), así el parser los convierte de vuelta al mismo valor.
+ */
+
+import { CMD, RSP, RATE_TABLE, COUNT_TABLE, EXCLUSIVE_PAIRS, PAIR_IDLE_RAW, calcChecksum, toBCD } from './protocol.js';
+import { SENSORS } from './sensors.js';
+import { LabdiscConnection } from './connection.js';
+
+/** Sensores del Labdisc virtual (orden del dispositivo, como en 0x82) */
+export const DEFAULT_SENSOR_IDS = [30, 6, 20, 26, 2, 25, 21, 13, 27, 28, 7, 33, 32, 1, 4, 5];
+
+/**
+ * Formas de onda por sensor ID.
+ * - sine / ramp / square: entre min y max con período periodS
+ * - noise: uniforme entre min y max
+ * - constant: value
+ * - gps: círculo de radiusM metros alrededor de lat/lon, una vuelta cada periodS
+ */
+export const DEFAULT_WAVEFORMS = Object.freeze({
+  30: { shape: 'sine',     min: 21,    max: 24,    periodS: 120 },
+  6:  { shape: 'sine',     min: 40,    max: 55,    periodS: 300 },
+  20: { shape: 'square',   min: 150,   max: 900,   periodS: 20 },
+  26: { shape: 'noise',    min: 101.1, max: 101.4 },
+  2:  { shape: 'constant', value: 7 },
+  25: { shape: 'sine',     min: 0.5,   max: 2,     periodS: 2 },   // péndulo
+  21: { shape: 'noise',    min: 55,    max: 70 },
+  13: { shape: 'ramp',     min: 20,    max: 80,    periodS: 180 },
+  27: { shape: 'sine',     min: -2,    max: 2,     periodS: 1 },
+  28: { shape: 'constant', value: 0 },
+  7:  { shape: 'gps',      lat: -34.9055, lon: -56.1913, radiusM: 80, periodS: 600 },
+  33: { shape: 'noise',    min: 1.5,   max: 1.8 },
+  32: { shape: 'constant', value: 0.5 },
+  1:  { shape: 'constant', value: 3 },
+  4:  { shape: 'noise',    min: 1012,  max: 1014 },
+  5:  { shape: 'sine',     min: 18,    max: 30,    periodS: 60 },
+});
+
+/**
+ * Formas de onda del segundo Demo Labdisc (Bridge.connectLabdisc2):
+ * "afuera del invernadero", más frío, más húmedo y con más luz, para que
+ * las dos series se distingan. El resto queda como DEFAULT_WAVEFORMS.
+ */
+export const OUTDOOR_WAVEFORMS = Object.freeze({
+  30: { shape: 'sine',     min: 12,    max: 16,    periodS: 150 },
+  6:  { shape: 'sine',     min: 65,    max: 85,    periodS: 240 },
+  20: { shape: 'noise',    min: 2500,  max: 3200 },
+  5:  { shape: 'sine',     min: 8,     max: 20,    periodS: 90 },
+});
+
+/**
+ * Rango de raw donde la fórmula de SENSORS es monótona (para invertirla).
+ * Por defecto 0..65535. Los sensores signed16 se buscan en negativo y se
+ * pasan a uint16 al final.
+ */
+const RAW_DOMAIN = {
+  1:  [21845, 65535],   // UV: max(0, ...) es plano por debajo
+  13: [5376, 62587],    // Temp Ext: tabla decreciente
+  20: [1, 35280],       // Luz: tabla hasta 35280
+  22: [0, 240],         // Pulso: > 240 → 0
+  23: [0, 240],
+  29: [12288, 56848],   // Humedad Ext: clamp
+  30: [-32768, 32767],  // signed16
+  42: [-32768, 32767],
+};
+
+/** Demora de respuesta del Labdisc virtual (ms) */
+const RESPONSE_DELAY_MS = 15;
+
+/** Tamaño máximo de chunk entregado al reader (SPP trocea los paquetes) */
+const CHUNK_SIZE = 32;
+
+/** Paquetes 0x84 por tanda al descargar un experimento guardado */
+const DOWNLOAD_BATCH = 50;
+
+const MODEL_ID = 0x02;
+const FIRMWARE = [0x01, 0x23];
+
+/**
+ * Raw uint16 que SENSORS[sid].convert convierte (aprox.) a value.
+ * Búsqueda binaria sobre RAW_DOMAIN.
+ * @returns {number} raw en 0..0xFFFE (0xFFFF es "sin dato")
+ */
+export function rawForValue(sid, value) {
+  var sensor = SENSORS[sid];
+  if (!sensor || !sensor.convert) return 0;
+
+  var dom = RAW_DOMAIN[sid] || [0, 65535];
+  var conv = function(r) { return sensor.convert(r & 0xFFFF); };
+  var lo = dom[0];
+  var hi = dom[1];
+  var increasing = conv(hi) >= conv(lo);
+
+  while (hi - lo > 1) {
+    var mid = Math.floor((lo + hi) / 2);
+    if ((conv(mid) < value) === increasing) lo = mid;
+    else hi = mid;
+  }
+
+  var best = Math.abs(conv(lo) - value) <= Math.abs(conv(hi) - value) ? lo : hi;
+  return Math.min(best & 0xFFFF, 0xFFFE);
+}
+
+/** Valor de una forma de onda en el instante tS (segundos). */
+export function waveformValue(wf, tS) {
+  var span = wf.max - wf.min;
+  switch (wf.shape) {
+    case 'sine':   return wf.min + span * (0.5 + 0.5 * Math.sin(2 * Math.PI * tS / wf.periodS));
+    case 'ramp':   return wf.min + span * ((tS % wf.periodS) / wf.periodS);
+    case 'square': return (tS % wf.periodS) < wf.periodS / 2 ? wf.max : wf.min;
+    case 'noise':  return wf.min + span * Math.random();
+    default:       return wf.value !== undefined ? wf.value : 0;
+  }
+}
+
+/**
+ * Labdisc virtual: interpreta comandos 47 14 ... y emite respuestas.
+ */
+export class VirtualLabdisc {
+  /**
+   * @param {Object} [config]
+   * @param {number[]} [config.sensorIds] - Default DEFAULT_SENSOR_IDS
+   * @param {Object} [config.waveforms] - Sobrescribe DEFAULT_WAVEFORMS por ID
+   * @param {number} [config.clockOffsetMs=0] - Error del reloj interno
+   * @param {number[]} [config.inactiveIds] - Lado apagado de cada par exclusivo (default [28, 33])
+   */
+  constructor(config) {
+    var cfg = config || {};
+    this.sensorIds = cfg.sensorIds || DEFAULT_SENSOR_IDS.slice();
+    this.waveforms = Object.assign({}, DEFAULT_WAVEFORMS, cfg.waveforms || {});
+    this.clockOffsetMs = cfg.clockOffsetMs || 0;
+
+    /** Lado inactivo de los pares exclusivos: manda su raw de reposo */
+    this.inactiveIds = cfg.inactiveIds || [28, 33];
+
+    /** Experimentos guardados: { mask, rateIdx, countIdx, date, samples } */
+    this.memory = [];
+
+    /** Stream 0x11 o registro 0x22 en curso */
+    this.active = false;
+    this.activeMask = 0;
+    this.activeRateIdx = 0x02;
+    this.activeCountIdx = 0x00;
+
+    /** @type {function(Uint8Array)} Bytes hacia el host (lo conecta VirtualSerialPort) */
+    this.onBytes = null;
+
+    /** true = fuera de alcance: el port no abre (ver dropLink) */
+    this.outOfRange = false;
+
+    /** @type {function()} Lo conecta VirtualSerialPort para cortar la lectura */
+    this.onDrop = null;
+
+    /** Hasta cuándo el firmware está "colgado" (ver hang) */
+    this.hungUntil = 0;
+
+    this._t0 = Date.now();
+    this._pushTimer = null;
+    this._loggingTimer = null;
+    this._counter = 0;
+  }
+
+  /**
+   * Procesa un comando escrito por el host.
+   * Cada write() de LabdiscConnection es un comando completo.
+   * @param {Uint8Array} bytes
+   */
+  handleCommand(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 0x47 || bytes[1] !== 0x14) return;
+    if (Date.now() < this.hungUntil) return;
+    var code = bytes[2];
+    var payload = Array.from(bytes.subarray(3, bytes.length - 1));
+
+    switch (code) {
+      case CMD.GET_SENSOR_IDS:    this._send(this.buildSensorIds()); break;
+      case CMD.GET_SENSOR_STATUS: this._send(this.buildStatus(0x10)); break;
+      case CMD.GET_CONFIG:        this._send(this.buildOnlineData()); break;  // 0x55 = poll
+      case CMD.START_EXPERIMENT:  this._startPush(payload); break;
+      case CMD.START_LOGIN:       this._startLogging(payload); break;
+      case CMD.STOP_LOGIN:        this._stop(); break;
+      case CMD.GET_DEVICE_INFO:   this._deviceInfo(payload); break;
+      case CMD.SET_DATETIME:      this._setDateTime(payload); break;
+      case CMD.RESET_CLEAR:       this._clearMemory(); break;
+    }
+  }
+
+  /**
+   * Simula el botón físico del par exclusivo que contiene sid.
+   * @param {number} sid - 27, 28, 21 o 33
+   */
+  pressPairButton(sid) {
+    var pair = EXCLUSIVE_PAIRS.find(function(p) { return p.ids.indexOf(sid) !== -1; });
+    if (!pair) return;
+    var off = this.inactiveIds.indexOf(pair.ids[0]) !== -1 ? pair.ids[1] : pair.ids[0];
+    this.inactiveIds = this.inactiveIds.filter(function(id) { return pair.ids.indexOf(id) === -1; }).concat(off);
+  }
+
+  /**
+   * Simula perder el enlace Bluetooth SPP (fuera de alcance, batería):
+   * la lectura del host falla y el port no abre durante ms.
+   * @param {number} ms
+   */
+  dropLink(ms) {
+    var self = this;
+    this.outOfRange = true;
+    this._stopPushTimer();  // un registro en memoria sigue (el Labdisc graba solo)
+    if (this.onDrop) this.onDrop();
+    setTimeout(function() { self.outOfRange = false; }, ms);
+  }
+
+  /**
+   * Simula un firmware colgado: el port sigue abierto pero durante ms no
+   * contesta comandos y el stream 0x11 se corta (hay que re-armarlo).
+   * @param {number} ms
+   */
+  hang(ms) {
+    this.hungUntil = Date.now() + ms;
+    this._stopPushTimer();
+  }
+
+  /** Para timers (al cerrar el port). */
+  shutdown() {
+    this._stopPushTimer();
+  }
+
+  // ─── Packet builders ───
+
+  /** 0x82: 17 slots de ID + checksum (21 bytes) */
+  buildSensorIds() {
+    var b = [0x2E, 0x69, RSP.SENSOR_IDS];
+    for (var i = 0; i < 17; i++) b.push(this.sensorIds[i] || 0);
+    return _finish(b);
+  }
+
+  /** 0x83: status/ACK (33 bytes), mismo layout que lee _parseStatus */
+  buildStatus(sub) {
+    var now = new Date(Date.now() + this.clockOffsetMs);
+    var b = [0x2E, 0x69, RSP.DEVICE_STATUS, sub, MODEL_ID, FIRMWARE[0], FIRMWARE[1],
+      this.active ? 0x01 : 0x00, 0x00,
+      (this.activeMask >> 8) & 0xFF, this.activeMask & 0xFF,
+      this.activeRateIdx, this.activeCountIdx];
+    b = b.concat(_bcdDateTime(now));
+
+    // [19-28]: sin decodificar (ver protocol.js). Ceros: el simulador no
+    // inventa un layout que después parezca confirmado en modo demo
+    while (b.length < 29) b.push(0);
+    b.push(this.sensorIds.length, 0, 0);
+    return _finish(b);
+  }
+
+  /** 0x81: todos los sensores (GPS = 12 bytes) */
+  buildOnlineData() {
+    var tS = (Date.now() - this._t0) / 1000;
+    var b = [0x2E, 0x69, RSP.ONLINE_DATA, 0];
+    for (var i = 0; i < this.sensorIds.length; i++) {
+      b = b.concat(this._sampleBytes(this.sensorIds[i], tS));
+    }
+    b[3] = b.length + 1;
+    return _finish(b);
+  }
+
+  /** 0x84: solo los sensores de la máscara, con contador de 8 bits */
+  buildExperimentData(mask, counter, tS) {
+    var b = [0x2E, 0x69, RSP.EXPERIMENT_DATA, 0, (mask >> 8) & 0xFF, mask & 0xFF, 0, counter & 0xFF];
+    for (var i = 0; i < this.sensorIds.length; i++) {
+      if ((mask >> i) & 1) b = b.concat(this._sampleBytes(this.sensorIds[i], tS));
+    }
+    b[3] = b.length + 1;
+    return _finish(b);
+  }
+
+  /** 0x55: registro del log de experimentos (18 bytes) */
+  buildLogRecord(index, exp) {
+    var b = [0x2E, 0x69, RSP.EXPERIMENT_LOG, index & 0xFF,
+      (exp.mask >> 8) & 0xFF, exp.mask & 0xFF, exp.rateIdx, exp.countIdx,
+      Math.min(exp.samples, 255)];
+    b = b.concat(_bcdDateTime(exp.date));
+    b.push(0, 0);
+    return _finish(b);
+  }
+
+  // ─── Private: muestras ───
+
+  _sampleBytes(sid, tS) {
+    var wf = this.waveforms[sid];
+
+    if (sid === 7) {
+      var g = _gpsPosition(wf, tS);
+      return _encodeCoord(g.lat, 0x4E, 0x53)
+        .concat(_encodeCoord(g.lon, 0x45, 0x57))
+        .concat(_u16(Math.round(g.vel * 10)), _u16(Math.round(g.ang * 10)));
+    }
+
+    if (this.inactiveIds.indexOf(sid) !== -1 && PAIR_IDLE_RAW[sid] !== undefined) {
+      // Lado apagado: 0x0000 fijo (Sonido) o flotando cerca de 0x8000 (V/A)
+      var rest = PAIR_IDLE_RAW[sid];
+      return _u16(rest === 0 ? 0 : rest + Math.round((Math.random() - 0.5) * 40));
+    }
+
+    if (!wf) return [0xFF, 0xFF];  // sin dato
+    return _u16(rawForValue(sid, waveformValue(wf, tS)));
+  }
+
+  // ─── Private: comandos ───
+
+  _startPush(payload) {
+    this._stop();
+    this.activeMask = (payload[0] << 8) | payload[1];
+    this.activeRateIdx = payload[2];
+    this.activeCountIdx = payload[3];
+    this.active = true;
+    this._send(this.buildStatus(CMD.START_EXPERIMENT));
+
+    var rate = RATE_TABLE[this.activeRateIdx];
+    var hz = rate && rate.hz ? rate.hz : 1;
+    var count = COUNT_TABLE[this.activeCountIdx] || 10;
+    var self = this;
+    var t0 = Date.now();
+    this._counter = 0;
+    this._pushTimer = setInterval(function() {
+      var tS = (Date.now() - t0) / 1000;
+      self._send(self.buildExperimentData(self.activeMask, self._counter++, tS));
+      // Al llegar a la cantidad pedida deja de mandar. No sabemos si el
+      // equipo real avisa con un 0x83: acá no avisa (el peor caso).
+      if (self._counter >= count) {
+        self._stopPushTimer();
+        self.active = false;
+      }
+    }, 1000 / hz);
+  }
+
+  _startLogging(payload) {
+    this._stop();
+    this.activeMask = (payload[0] << 8) | payload[1];
+    this.activeRateIdx = payload[2];
+    this.activeCountIdx = payload[3];
+    this.active = true;
+
+    var exp = { mask: this.activeMask, rateIdx: this.activeRateIdx, countIdx: this.activeCountIdx,
+      date: new Date(Date.now() + this.clockOffsetMs), samples: 0, startedAt: Date.now() };
+    this.memory.push(exp);
+    this._send(this.buildStatus(CMD.START_LOGIN));
+
+    var rate = RATE_TABLE[exp.rateIdx];
+    var hz = rate && rate.hz ? rate.hz : 1;
+    var count = COUNT_TABLE[exp.countIdx] || 10;
+    var self = this;
+    this._loggingTimer = setTimeout(function() {
+      self._loggingTimer = null;
+      exp.samples = count;
+      self.active = false;
+    }, count / hz * 1000);
+  }
+
+  _stop() {
+    this._stopPushTimer();
+    if (this._loggingTimer) {
+      clearTimeout(this._loggingTimer);
+      this._loggingTimer = null;
+      var exp = this.memory[this.memory.length - 1];
+      var rate = RATE_TABLE[exp.rateIdx];
+      exp.samples = Math.floor((Date.now() - exp.startedAt) / 1000 * (rate && rate.hz ? rate.hz : 1));
+    }
+    var wasActive = this.active;
+    this.active = false;
+    if (wasActive) this._send(this.buildStatus(CMD.STOP_LOGIN));
+  }
+
+  _stopPushTimer() {
+    if (this._pushTimer) {
+      clearInterval(this._pushTimer);
+      this._pushTimer = null;
+    }
+  }
+
+  /** 0x45 sin payload → ACK + log 0x55; con payload [index] → muestras 0x84 */
+  _deviceInfo(payload) {
+    if (payload.length === 0) {
+      this._send(this.buildStatus(CMD.GET_DEVICE_INFO));
+      for (var i = 0; i < this.memory.length; i++) this._send(this.buildLogRecord(i, this.memory[i]));
+      return;
+    }
+
+    var exp = this.memory[payload[0]];
+    if (!exp) return;
+    var rate = RATE_TABLE[exp.rateIdx];
+    var hz = rate && rate.hz ? rate.hz : 1;
+    var self = this;
+    var n = 0;
+    var timer = setInterval(function() {
+      for (var k = 0; k < DOWNLOAD_BATCH && n < exp.samples; k++, n++) {
+        self._send(self.buildExperimentData(exp.mask, n, n / hz));
+      }
+      if (n >= exp.samples) clearInterval(timer);
+    }, 20);
+  }
+
+  _clearMemory() {
+    if (this.active) return;  // no borra con un registro en curso
+    this.memory = [];
+    this._send(this.buildStatus(CMD.RESET_CLEAR));
+  }
+
+  _setDateTime(payload) {
+    if (payload.length < 6) return;
+    var v = payload.map(function(b) { return (b >> 4) * 10 + (b & 0x0F); });
+    var target = new Date(2000 + v[2], v[1] - 1, v[0], v[3], v[4], v[5]);
+    this.clockOffsetMs = target.getTime() - Date.now();
+  }
+
+  /** Entrega un paquete al host, troceado como lo haría el SPP. */
+  _send(pkt) {
+    var self = this;
+    setTimeout(function() {
+      if (!self.onBytes) return;
+      for (var i = 0; i < pkt.length; i += CHUNK_SIZE) {
+        self.onBytes(pkt.subarray(i, i + CHUNK_SIZE));
+      }
+    }, RESPONSE_DELAY_MS);
+  }
+}
+
+/**
+ * Port virtual con la interfaz de SerialPort que usa LabdiscConnection.
+ */
+export class VirtualSerialPort {
+  /** @param {VirtualLabdisc} device */
+  constructor(device) {
+    this.device = device;
+    this.readable = null;
+    this.writable = null;
+    this._controller = null;
+  }
+
+  async open() {
+    if (this.device.outOfRange) throw new Error('Failed to open serial port.');
+    var self = this;
+    this.readable = new ReadableStream({
+      start: function(controller) { self._controller = controller; },
+      cancel: function() { self._controller = null; },
+    });
+    this.writable = new WritableStream({
+      write: function(chunk) { self.device.handleCommand(chunk); },
+    });
+    this.device.onBytes = function(bytes) {
+      if (!self._controller) return;
+      try {
+        self._controller.enqueue(new Uint8Array(bytes));
+      } catch (e) {
+        self._controller = null;
+      }
+    };
+    this.device.onDrop = function() {
+      if (self._controller) self._controller.error(new Error('The device has been lost.'));
+      self._controller = null;
+    };
+  }
+
+  async close() {
+    this.device.onBytes = null;
+    this.device.onDrop = null;
+    this.device.shutdown();
+    this.readable = null;
+    this.writable = null;
+  }
+
+  getInfo() { return { virtual: true }; }
+}
+
+/**
+ * "Demo Labdisc": una LabdiscConnection conectada a un VirtualLabdisc.
+ * Reemplaza directamente a LabdiscConnection (mismos métodos y callbacks).
+ */
+export class DemoLabdisc extends LabdiscConnection {
+  /** @param {Object} [config] - Ver VirtualLabdisc */
+  constructor(config) {
+    super();
+    this.device = new VirtualLabdisc(config);
+  }
+
+  static isSupported() { return true; }
+
+  _requestPort() {
+    return Promise.resolve(new VirtualSerialPort(this.device));
+  }
+}
+
+// ─── Helpers ───
+
+function _finish(bytes) {
+  bytes.push(calcChecksum(bytes));
+  return new Uint8Array(bytes);
+}
+
+function _u16(v) {
+  return [(v >> 8) & 0xFF, v & 0xFF];
+}
+
+/** DD MM YY hh mm ss en BCD (mismo orden que 0x83 y 0x55) */
+function _bcdDateTime(d) {
+  return [d.getDate(), d.getMonth() + 1, d.getFullYear() % 100,
+    d.getHours(), d.getMinutes(), d.getSeconds()].map(toBCD);
+}
+
+/** Inversa de decodeGPSCoord: [grados, minutos×1000 (u16), dirección] */
+function _encodeCoord(decimal, pos, neg) {
+  var a = Math.abs(decimal);
+  var deg = Math.floor(a);
+  var minRaw = Math.round((a - deg) * 60 * 1000);
+  return [deg, (minRaw >> 8) & 0xFF, minRaw & 0xFF, decimal >= 0 ? pos : neg];
+}
+
+function _gpsPosition(wf, tS) {
+  if (!wf) return { lat: 0, lon: 0, vel: 0, ang: 0 };
+  var phase = 2 * Math.PI * tS / wf.periodS;
+  var dLat = wf.radiusM * Math.sin(phase) / 111320;
+  var dLon = wf.radiusM * Math.cos(phase) / (111320 * Math.cos(wf.lat * Math.PI / 180));
+  var heading = (360 - (phase * 180 / Math.PI) % 360) % 360;
+  return {
+    lat: wf.lat + dLat,
+    lon: wf.lon + dLon,
+    vel: 2 * Math.PI * wf.radiusM / wf.periodS * 3.6,
+    ang: heading,
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * watchdog.js — Vigilancia de silencio del stream del Labdisc
+ *
+ * Si el Labdisc deja de contestar (batería baja, fuera de alcance del
+ * Bluetooth, firmware colgado) el polling sigue mandando 0x55 y no llega
+ * nada. El watchdog mide el tiempo desde el último paquete válido contra
+ * el intervalo esperado del stream y, cada timeoutMs de silencio, sube
+ * un escalón:
+ *
+ *   1. WARN    → aviso, el stream pasa a STALLED
+ *   2. STATUS  → GetSensorStatus (¿el Labdisc contesta algo?)
+ *   3. RESTART → re-arrancar el polling / el 0x11
+ *   4. REOPEN  → cerrar y reabrir el port (reconexión de LabdiscConnection)
+ *
+ * Un paquete válido en cualquier momento vuelve a cero. Qué hacer en cada
+ * escalón lo decide LabdiscConnection (onStep).
+ */
+
+export const WatchdogStep = Object.freeze({
+  WARN:    'warn',
+  STATUS:  'status',
+  RESTART: 'restart',
+  REOPEN:  'reopen',
+});
+
+const ESCALATION = [WatchdogStep.WARN, WatchdogStep.STATUS, WatchdogStep.RESTART, WatchdogStep.REOPEN];
+
+/** Intervalos sin datos que cuentan como silencio */
+const MISSED_INTERVALS = 3;
+
+/** Timeout mínimo (a 25 Hz 3 intervalos son 120 ms: demasiado justo) */
+const MIN_TIMEOUT_MS = 2000;
+
+/** Cada cuánto se mira el reloj */
+const CHECK_MS = 500;
+
+export class SilenceWatchdog {
+  constructor() {
+    /** Intervalo esperado entre paquetes (ms), null = detenido */
+    this.intervalMs = null;
+
+    /** Arranque del stream vigilado */
+    this._startedAt = 0;
+
+    /** Último paquete válido (o arranque / último escalón) */
+    this._since = 0;
+
+    /** Último paquete válido */
+    this.lastRxAt = null;
+
+    /** Escalones ya disparados (0 = sin silencio) */
+    this.level = 0;
+
+    this._timer = null;
+
+    /** @type {function(string, number)} (WatchdogStep, ms de silencio) */
+    this.onStep = null;
+  }
+
+  /** Silencio que dispara cada escalón */
+  get timeoutMs() {
+    return Math.max(MIN_TIMEOUT_MS, MISSED_INTERVALS * (this.intervalMs || 0));
+  }
+
+  /** true desde el primer escalón hasta el próximo paquete */
+  get stalled() { return this.level > 0; }
+
+  /** ms sin datos (desde el último paquete, o desde el arranque si no llegó ninguno) */
+  silenceMs(now) {
+    var t = now !== undefined ? now : Date.now();
+    return this.intervalMs === null ? 0 : t - (this.lastRxAt !== null ? this.lastRxAt : this._startedAt);
+  }
+
+  /**
+   * Empieza a vigilar un stream nuevo (vuelve a cero).
+   * @param {number} intervalMs - Intervalo esperado entre paquetes
+   */
+  start(intervalMs) {
+    this.stop();
+    this.intervalMs = intervalMs;
+    this._startedAt = this._since = Date.now();
+    var self = this;
+    this._timer = setInterval(function() { self._check(Date.now()); }, CHECK_MS);
+  }
+
+  /** Cambia el intervalo esperado sin volver a cero (setHz en caliente). */
+  setIntervalMs(intervalMs) {
+    if (this.intervalMs !== null) this.intervalMs = intervalMs;
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this.intervalMs = null;
+    this.lastRxAt = null;
+    this.level = 0;
+  }
+
+  /**
+   * Llegó un paquete válido.
+   * @returns {boolean} true si estaba en silencio (se recuperó)
+   */
+  feed(now) {
+    var t = now !== undefined ? now : Date.now();
+    var wasStalled = this.stalled;
+    this.lastRxAt = this._since = t;
+    this.level = 0;
+    return wasStalled;
+  }
+
+  // ─── Private ───
+
+  _check(now) {
+    if (this.intervalMs === null || this.level >= ESCALATION.length) return;
+    if (now - this._since < this.timeoutMs) return;
+
+    var step = ESCALATION[this.level];
+    this.level++;
+    this._since = now;
+    if (this.onStep) this.onStep(step, this.silenceMs(now));
+  }
+}
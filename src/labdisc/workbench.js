@@ -0,0 +1,240 @@
+/**
+ * workbench.js — Banco de pruebas para investigar el protocolo
+ *
+ * Manda comandos arbitrarios (47 14 <code> <payload> <chk>) y junta todos
+ * los paquetes válidos que llegan durante una ventana de tiempo. Sirve para
+ * seguir decodificando lo que protocol.js marca como desconocido (rate
+ * 0x07, count 0x02, bytes reservados del 0x55, el trigger del 0x85) sin
+ * sniffer ni GlobiLab X.
+ *
+ * Cada envío queda como un "intercambio":
+ *
+ *   { id, sentAt, code, payload, tx, note, responses: [{ t, type, bytes }] }
+ *
+ * t = ms desde el envío. Las respuestas se agrupan por tipo + largo
+ * (groupResponses) y dos paquetes cualesquiera se comparan byte a byte
+ * (diffPackets), con el nombre del campo cuando se conoce (FIELD_NAMES).
+ *
+ * Los hallazgos se guardan como JSON "labdisc-findings" v1 (findingsToJSON).
+ */
+
+import { buildCommandWithPayload, fmtHex } from './protocol.js';
+
+export const FINDINGS_FORMAT = 'labdisc-findings';
+export const FINDINGS_VERSION = 1;
+
+/** Ventana por defecto para juntar respuestas (ms) */
+export const RESPONSE_WINDOW_MS = 1500;
+
+/**
+ * Nombre de cada byte en los tipos conocidos (mismo layout que parser.js).
+ * Los offsets que no están acá se muestran como [n].
+ */
+export const FIELD_NAMES = Object.freeze({
+  0x55: { 3: 'índice', 4: 'máscara hi', 5: 'máscara lo', 6: 'rate', 7: 'count', 8: 'muestras',
+    9: 'día', 10: 'mes', 11: 'año', 12: 'hora', 13: 'min', 14: 'seg', 15: 'reservado 0', 16: 'reservado 1' },
+  0x83: { 3: 'sub-type', 4: 'modelo', 5: 'fw mayor', 6: 'fw menor', 7: 'activo', 8: '?',
+    9: 'máscara hi', 10: 'máscara lo', 11: 'rate', 12: 'count',
+    13: 'día', 14: 'mes', 15: 'año', 16: 'hora', 17: 'min', 18: 'seg',
+    19: 'batería?', 20: 'memoria?', 21: 'registradas? hi', 22: 'registradas? lo', 23: 'experimentos?',
+    29: 'cant. sensores' },
+  0x84: { 3: 'largo', 4: 'máscara hi', 5: 'máscara lo', 6: '?', 7: 'contador' },
+  0x81: { 3: 'largo' },
+  0x85: { 3: 'largo' },
+});
+
+/**
+ * Nombre de un byte de un paquete de respuesta.
+ * @param {number} type - byte [2]
+ * @param {number} offset
+ * @param {number} length - largo total (el último byte es el checksum)
+ */
+export function fieldName(type, offset, length) {
+  if (offset < 2) return 'header';
+  if (offset === 2) return 'tipo';
+  if (offset === length - 1) return 'checksum';
+  var names = FIELD_NAMES[type];
+  return names && names[offset] ? names[offset] : '[' + offset + ']';
+}
+
+/**
+ * Lee bytes escritos a mano: "01 02 ff", "0x01,0x02", "0102ff".
+ * @param {string} text
+ * @returns {number[]}
+ * @throws {Error} si hay algo que no es hex o un byte fuera de rango
+ */
+export function parseHexBytes(text) {
+  var clean = text.trim().replace(/0x/gi, '');
+  if (clean === '') return [];
+
+  var parts = /[\s,]/.test(clean) ? clean.split(/[\s,]+/) : clean.match(/.{1,2}/g);
+  return parts.map(function(p) {
+    if (!/^[0-9a-f]{1,2}$/i.test(p)) throw new Error('Byte inválido: "' + p + '"');
+    return parseInt(p, 16);
+  });
+}
+
+/**
+ * Compara dos paquetes byte a byte.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {{offset: number, field: string, a: number|undefined, b: number|undefined}[]}
+ *   Solo los offsets que difieren (incluye los que sobran en el más largo)
+ */
+export function diffPackets(a, b) {
+  var out = [];
+  var len = Math.max(a.length, b.length);
+  var type = a[2] !== undefined ? a[2] : b[2];
+  for (var i = 0; i < len; i++) {
+    if (a[i] === b[i]) continue;
+    out.push({ offset: i, field: fieldName(type, i, Math.min(a.length, b.length)), a: a[i], b: b[i] });
+  }
+  return out;
+}
+
+/**
+ * Agrupa las respuestas de un intercambio por tipo + largo.
+ * @param {Object} exchange
+ * @returns {{type: number, length: number, packets: Object[]}[]} en orden de llegada del primero
+ */
+export function groupResponses(exchange) {
+  var groups = [];
+  var byKey = {};
+  for (var i = 0; i < exchange.responses.length; i++) {
+    var r = exchange.responses[i];
+    var key = r.type + ':' + r.bytes.length;
+    if (!byKey[key]) {
+      byKey[key] = { type: r.type, length: r.bytes.length, packets: [] };
+      groups.push(byKey[key]);
+    }
+    byKey[key].packets.push(r);
+  }
+  return groups;
+}
+
+export class ProtocolWorkbench {
+  constructor() {
+    /** @type {Object[]} Intercambios terminados, el más viejo primero */
+    this.exchanges = [];
+
+    /** Intercambio que está juntando respuestas, o null */
+    this.current = null;
+
+    /** @type {LabdiscConnection|null} */
+    this.connection = null;
+
+    /** @type {function()} Cambió la lista (para re-render) */
+    this.onChange = null;
+
+    this._nextId = 1;
+    this._sentAt = 0;
+  }
+
+  /**
+   * Engancha el parser de una conexión (se vuelve a llamar si el Bridge
+   * cambia de Labdisc).
+   * @param {LabdiscConnection} connection
+   */
+  attach(connection) {
+    this.connection = connection;
+    var self = this;
+    connection.parser.onPacket = function(type, pkt) { self._onPacket(type, pkt); };
+  }
+
+  get isBusy() { return this.current !== null; }
+
+  /**
+   * Envía un comando y junta las respuestas durante windowMs.
+   * @param {number} code - byte [2] del comando
+   * @param {number[]} payload
+   * @param {number} [windowMs=RESPONSE_WINDOW_MS]
+   * @returns {Promise<Object|null>} El intercambio, o null si no se pudo enviar
+   */
+  async send(code, payload, windowMs) {
+    if (!this.connection || !this.connection.isConnected || this.current) return null;
+
+    var exchange = {
+      id: this._nextId++,
+      sentAt: new Date().toISOString(),
+      code: code,
+      payload: payload.slice(),
+      tx: fmtHex(buildCommandWithPayload(code, payload)),
+      note: '',
+      responses: [],
+    };
+
+    this.current = exchange;
+    this._sentAt = Date.now();
+    this.connection.statusRefreshPaused = true;  // que el refresco periódico no se cuele
+    this._changed();
+
+    try {
+      await this.connection.sendCommandWithPayload(code, payload,
+        'Workbench 0x' + code.toString(16).padStart(2, '0'));
+      await new Promise(function(resolve) { setTimeout(resolve, windowMs || RESPONSE_WINDOW_MS); });
+    } finally {
+      this.current = null;
+      this.connection.statusRefreshPaused = false;
+    }
+
+    this.exchanges.push(exchange);
+    this._changed();
+    return exchange;
+  }
+
+  /** Anota un intercambio (qué se probó, qué se concluyó). */
+  annotate(id, note) {
+    var ex = this.find(id);
+    if (ex) ex.note = note;
+  }
+
+  find(id) {
+    for (var i = 0; i < this.exchanges.length; i++) {
+      if (this.exchanges[i].id === id) return this.exchanges[i];
+    }
+    return null;
+  }
+
+  remove(id) {
+    this.exchanges = this.exchanges.filter(function(ex) { return ex.id !== id; });
+    this._changed();
+  }
+
+  clear() {
+    this.exchanges = [];
+    this._changed();
+  }
+
+  /**
+   * Hallazgos como JSON (bytes en hex, como las capturas).
+   * @param {string} [note] - Conclusiones generales
+   */
+  findingsToJSON(note) {
+    return JSON.stringify({
+      format: FINDINGS_FORMAT,
+      version: FINDINGS_VERSION,
+      savedAt: new Date().toISOString(),
+      note: note || '',
+      exchanges: this.exchanges.map(function(ex) {
+        return {
+          id: ex.id,
+          sentAt: ex.sentAt,
+          tx: ex.tx,
+          note: ex.note,
+          responses: ex.responses.map(function(r) { return [r.t, fmtHex(r.bytes)]; }),
+        };
+      }),
+    }, null, 2);
+  }
+
+  // ─── Private ───
+
+  _onPacket(type, pkt) {
+    if (!this.current) return;
+    this.current.responses.push({ t: Date.now() - this._sentAt, type: type, bytes: Array.from(pkt) });
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange();
+  }
+}
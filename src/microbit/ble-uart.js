@@ -7,40 +7,128 @@
  * - Solo usa characteristic 0003 para escribir (writeValueWithoutResponse)
  * - NO pide characteristic 0002 ni hace startNotifications
  *   (eso causaba que la micro:bit no recibiera datos)
+ * - RX opcional (rxEnabled, apagado por defecto): para los comandos de la
+ *   micro:bit (commands.js) hay que pedir el 0002 igual. Se hace después
+ *   de tener el 0003 y antes de CONNECTED, y si falla la conexión sigue
+ *   solo TX. SIN VERIFICAR en hardware que esto evite el problema de
+ *   arriba: por eso el camino solo-TX sigue siendo el default.
  * - Fragmenta mensajes largos en chunks de 20 bytes
  * - Keep-alive cada 2 minutos para mantener la conexión
+ * - Reconexión automática: cada vez que se flashea un programa nuevo la
+ *   micro:bit se reinicia y se cae el GATT. Se conserva el BluetoothDevice
+ *   y se reintenta gatt.connect() con backoff (RECONNECTING), así el
+ *   stream sigue solo después del reflash.
+ * - Al recargar la página se reusan los equipos autorizados con
+ *   navigator.bluetooth.getDevices() (si el navegador lo tiene), sin
+ *   volver a pasar por el selector.
+ * - post(): envío sin esperar al anterior, para el Bridge con varias
+ *   micro:bits. Si la placa todavía está mandando, el paquete nuevo
+ *   reemplaza al pendiente (se cuenta como descartado): una placa lenta
+ *   recibe menos paquetes pero no frena a las demás.
  */
 
 const UART_SERVICE_UUID = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
 const UART_TX_UUID      = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
+const UART_RX_UUID      = '6e400002-b5a3-f393-e0a9-e50e24dcca9e';
 
 const KEEP_ALIVE_INTERVAL = 120000; // 2 minutos
 
+/** Reintentos tras perder el GATT: 1 s, 2 s, 4 s... hasta RECONNECT_MAX_MS */
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 15000;
+const RECONNECT_ATTEMPTS = 12;
+
+/** gatt.connect() a un equipo fuera de alcance puede no volver nunca */
+const CONNECT_TIMEOUT = 10000;
+
+/** Espera de un advertisement del equipo recordado (al recargar la página) */
+const ADVERTISEMENT_TIMEOUT = 10000;
+
+/** Clave de localStorage con los ids de los equipos conectados (el más reciente primero) */
+const STORAGE_KEY = 'microbit.knownDevices';
+
+/** Cuántos ids se recuerdan */
+const REMEMBER_MAX = 8;
+
+const DEVICE_NAME_PREFIX = 'BBC micro:bit';
+
+/** Línea recibida más larga que se acepta (sin \n es basura, se descarta) */
+const RX_LINE_MAX = 64;
+
 export const BleState = Object.freeze({
   DISCONNECTED: 'disconnected',
   CONNECTING:   'connecting',
   CONNECTED:    'connected',
+  RECONNECTING: 'reconnecting',  // GATT perdido (reset/reflash), reintentando con el mismo device
 });
 
 export class MicrobitBLE {
   constructor() {
+    /** Identificador en la lista de micro:bits del Bridge */
+    this.id = null;
+
     /** @type {BluetoothDevice|null} */
     this.device = null;
 
     /** @type {BluetoothRemoteGATTCharacteristic|null} */
     this.txCharacteristic = null;
 
+    /** @type {BluetoothRemoteGATTCharacteristic|null} Notificaciones micro:bit → Bridge */
+    this.rxCharacteristic = null;
+
+    /** true = suscribirse al 0002 para recibir comandos (ver arriba: sin verificar) */
+    this.rxEnabled = false;
+
+    /** Texto recibido todavía sin \n */
+    this._rxBuffer = '';
+
+    this._onRxValue = this._rxValue.bind(this);
+
     /** @type {string} */
     this.state = BleState.DISCONNECTED;
 
+    /** disconnect() lo incrementa: un _connectGatt() en curso ve que lo cancelaron */
+    this._connectSeq = 0;
+
     /** @type {number|null} Keep-alive timer */
     this._keepAliveTimer = null;
 
+    /** Reconectar solo si se cae el GATT sin que lo pida el usuario */
+    this.autoReconnect = true;
+
+    /** @type {{attempt: number, timer: number|null}|null} Reintentos en curso */
+    this._reconnect = null;
+
+    /** true mientras disconnect() corta el GATT (no es una pérdida) */
+    this._disconnecting = false;
+
+    this._onGattDisconnected = this._gattDisconnected.bind(this);
+
+    /**
+     * Envíos hechos con post(): paquetes enviados completos, descartados
+     * por Labdisc (llegó uno nuevo del mismo con la placa ocupada) y con
+     * error de escritura.
+     */
+    this.stats = { sent: 0, dropped: { 1: 0, 2: 0 }, errors: 0, lastSentAt: null };
+
+    /** true mientras post() está escribiendo */
+    this._sending = false;
+
+    /**
+     * Último paquete de cada Labdisc (1: líneas A/B, 2: C/D) esperando a
+     * que termine el envío en curso.
+     * @type {Object<string, string[]>}
+     */
+    this._pending = {};
+
+    /** @type {string[]} Respuestas (ACK/ERR) y encabezado a mandar antes del próximo paquete */
+    this._replies = [];
+
     // ─── Callbacks ───
     /** @type {function(string)} */
     this.onStateChange = null;
 
-    /** @type {function(string)} Data received from micro:bit (not used currently) */
+    /** @type {function(string)} Línea recibida de la micro:bit (sin el \n) */
     this.onReceive = null;
 
     /** @type {function(string, string)} Log (type, message) */
@@ -53,6 +141,13 @@ export class MicrobitBLE {
     return 'bluetooth' in navigator;
   }
 
+  /** Nombre corto: el código de 5 letras de "BBC micro:bit [zapit]" */
+  get name() {
+    if (!this.device || !this.device.name) return 'micro:bit';
+    var m = /\[(\w+)\]/.exec(this.device.name);
+    return m ? m[1] : this.device.name;
+  }
+
   get isConnected() {
     return this.state === BleState.CONNECTED
       && this.txCharacteristic !== null
@@ -60,40 +155,83 @@ export class MicrobitBLE {
       && this.device.gatt.connected;
   }
 
+  /** Ids de los equipos conectados antes, el más reciente primero */
+  static rememberedIds() {
+    try {
+      var ids = typeof localStorage !== 'undefined' ? JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]') : [];
+      return Array.isArray(ids) ? ids : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * micro:bits ya autorizadas en sesiones anteriores (sin selector).
+   * Vacío si el navegador no tiene navigator.bluetooth.getDevices().
+   * @returns {Promise<BluetoothDevice[]>}
+   */
+  static async knownDevices() {
+    if (!MicrobitBLE.isSupported() || !navigator.bluetooth.getDevices) return [];
+    try {
+      var devices = await navigator.bluetooth.getDevices();
+      return devices.filter(function(d) { return d.name && d.name.indexOf(DEVICE_NAME_PREFIX) === 0; });
+    } catch (e) {
+      return [];
+    }
+  }
+
   /**
    * Connect to a micro:bit via BLE.
+   *
+   * Sin opciones se abre el selector del navegador. Con device (uno de
+   * knownDevices) o noPrompt (el último autorizado, o el único) no hay
+   * selector: se espera a que el equipo esté anunciándose; si no hay
+   * ninguno vuelve sin error.
+   *
+   * @param {Object} [options]
+   * @param {BluetoothDevice} [options.device] - Equipo ya autorizado
+   * @param {boolean} [options.noPrompt=false] - No abrir el selector
+   * @param {string[]} [options.excludeIds] - Equipos que ya tienen su propia conexión
    */
-  async connect() {
-    if (this.isConnected) return;
+  async connect(options) {
+    var opts = options || {};
+    if (this.isConnected || this.state === BleState.CONNECTING) return;
+    this._cancelReconnect();
+    var seq = this._connectSeq;
 
     try {
       this._setState(BleState.CONNECTING);
-      this._log('info', 'Buscando micro:bit...');
 
-      this.device = await navigator.bluetooth.requestDevice({
-        filters: [{ namePrefix: 'BBC micro:bit' }],
-        optionalServices: [UART_SERVICE_UUID],
-      });
+      var device;
+      if (opts.device || opts.noPrompt) {
+        device = opts.device || await this._knownDevice();
+        if (!device) {
+          this._cleanup();
+          return;
+        }
+        this._log('info', `Esperando a ${device.name}...`);
+        await this._waitAdvertisement(device);
+      } else {
+        this._log('info', 'Buscando micro:bit...');
+        device = await navigator.bluetooth.requestDevice({
+          filters: [{ namePrefix: DEVICE_NAME_PREFIX }],
+          optionalServices: [UART_SERVICE_UUID],
+        });
+      }
 
-      this.device.addEventListener('gattserverdisconnected', () => {
-        this._log('info', 'micro:bit desconectada');
+      if (opts.excludeIds && opts.excludeIds.indexOf(device.id) !== -1) {
+        this._log('warn', `${device.name} ya está conectada`);
         this._cleanup();
-      });
-
-      this._log('info', `Conectando a ${this.device.name}...`);
-      const server = await this.device.gatt.connect();
-
-      this._log('info', 'Obteniendo servicio UART...');
-      const service = await server.getPrimaryService(UART_SERVICE_UUID);
+        return;
+      }
 
-      // Solo el characteristic para ESCRIBIR (0003)
-      this.txCharacteristic = await service.getCharacteristic(UART_TX_UUID);
+      if (seq !== this._connectSeq) return;  // disconnect() mientras se elegía o se esperaba
 
-      this._setState(BleState.CONNECTED);
+      this._attach(device);
+      this._log('info', `Conectando a ${this.device.name}...`);
+      if (!(await this._connectGatt())) return;
       this._log('info', `micro:bit conectada: ${this.device.name}`);
 
-      this._startKeepAlive();
-
     } catch (e) {
       if (e.name !== 'NotFoundError') {
         this._log('err', `BLE: ${e.message}`);
@@ -103,11 +241,17 @@ export class MicrobitBLE {
   }
 
   /**
-   * Disconnect from the micro:bit.
+   * Disconnect from the micro:bit (también cancela una reconexión en curso).
+   * El equipo se olvida: al recargar la página no se reconecta solo.
    */
   async disconnect() {
+    this._connectSeq++;
+    this._cancelReconnect();
+    if (this.device) this._forget(this.device);
     if (this.device && this.device.gatt.connected) {
+      this._disconnecting = true;
       this.device.gatt.disconnect();
+      this._disconnecting = false;
     }
     this._cleanup();
     this._log('info', 'micro:bit desconectada');
@@ -118,9 +262,10 @@ export class MicrobitBLE {
    * Fragments into 20-byte BLE packets using writeValueWithoutResponse.
    * 
    * @param {string} text - Text to send (e.g., "263,587,1136,...\n")
+   * @returns {Promise<boolean>} false si no está conectada o falló una escritura
    */
   async send(text) {
-    if (!this.txCharacteristic) return;
+    if (!this.txCharacteristic) return false;
 
     const encoder = new TextEncoder();
     const data = encoder.encode(text);
@@ -133,15 +278,297 @@ export class MicrobitBLE {
         await this.txCharacteristic.writeValueWithoutResponse(chunk);
       } catch (e) {
         this._log('err', `BLE write: ${e.message}`);
-        break;
+        return false;
       }
     }
+    return true;
+  }
+
+  /**
+   * Envía un paquete de líneas (ej. las dos de formatForUART) sin esperar
+   * a que termine el anterior. Con la placa ocupada queda pendiente solo
+   * el último paquete de cada Labdisc; el que reemplaza a otro del mismo
+   * cuenta como descartado. Los dos Labdiscs no se pisan entre sí.
+   * @param {string[]} lines
+   * @param {number} [device=1] - 1 o 2 (líneas A/B o C/D)
+   */
+  post(lines, device = 1) {
+    if (!this.isConnected) return;
+    if (this._sending) {
+      if (this._pending[device]) this.stats.dropped[device]++;
+      this._pending[device] = lines;
+      return;
+    }
+    this._drain(lines, String(device));
+  }
+
+  /**
+   * Respuesta a un comando (ej. "ACK,HZ,10\n") o línea del encabezado.
+   * Nunca se descarta: sale antes del próximo paquete de datos, sin
+   * mezclarse con uno a medias. No cuenta en stats.
+   * @param {string} line
+   */
+  reply(line) {
+    if (!this.isConnected) return;
+    this._replies.push(line);
+    if (!this._sending) this._drain(null);
+  }
+
+  resetStats() {
+    this.stats = { sent: 0, dropped: { 1: 0, 2: 0 }, errors: 0, lastSentAt: null };
   }
 
   // ─── Private ───
 
+  async _drain(lines, device) {
+    this._sending = true;
+    while (lines || this._replies.length) {
+      while (this._replies.length) await this.send(this._replies.shift());
+      if (!lines) break;
+      var ok = true;
+      for (var i = 0; i < lines.length && ok; i++) ok = await this.send(lines[i]);
+      if (ok) {
+        this.stats.sent++;
+        this.stats.lastSentAt = Date.now();
+      } else {
+        this.stats.errors++;
+      }
+      if (!this.isConnected) this._pending = {};
+      // alterna entre Labdiscs para que uno a 25 Hz no deje esperando al otro
+      var keys = Object.keys(this._pending);
+      device = keys.find(k => k !== device) || keys[0];
+      lines = device ? this._pending[device] : null;
+      delete this._pending[device];
+    }
+    this._sending = false;
+  }
+
+  /** Toma el device y escucha sus desconexiones (un solo listener por device). */
+  _attach(device) {
+    if (this.device === device) return;
+    if (this.device) this.device.removeEventListener('gattserverdisconnected', this._onGattDisconnected);
+    this.device = device;
+    this.device.addEventListener('gattserverdisconnected', this._onGattDisconnected);
+  }
+
+  /**
+   * GATT → servicio UART → characteristic TX (y RX), y a CONNECTED.
+   * @returns {Promise<boolean>} false si disconnect() lo canceló en el medio
+   */
+  async _connectGatt() {
+    var device = this.device;
+    var seq = this._connectSeq;
+    var timer = null;
+    var timeout = new Promise(function(resolve, reject) {
+      timer = setTimeout(function() {
+        device.gatt.disconnect();  // aborta el intento pendiente
+        reject(new Error('Sin respuesta de ' + device.name));
+      }, CONNECT_TIMEOUT);
+    });
+
+    try {
+      const server = await Promise.race([device.gatt.connect(), timeout]);
+      if (seq !== this._connectSeq) return this._abortGatt(device);
+
+      this._log('info', 'Obteniendo servicio UART...');
+      const service = await server.getPrimaryService(UART_SERVICE_UUID);
+      if (seq !== this._connectSeq) return this._abortGatt(device);
+
+      // Characteristic para ESCRIBIR (0003)
+      const tx = await service.getCharacteristic(UART_TX_UUID);
+      if (seq !== this._connectSeq) return this._abortGatt(device);
+      this.txCharacteristic = tx;
+
+      if (this.rxEnabled) await this._startRx(service);
+      if (seq !== this._connectSeq) return this._abortGatt(device);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this._remember(device);
+    this._setState(BleState.CONNECTED);
+    this._startKeepAlive();
+    return true;
+  }
+
+  /**
+   * disconnect() llegó mientras _connectGatt() esperaba: ya limpió el
+   * estado y el Bridge sacó la placa de la lista, así que el GATT que
+   * quedó abierto no es de nadie. Igual que el port serial en
+   * LabdiscConnection._tryReconnect.
+   * @returns {boolean} false (para devolverlo desde _connectGatt)
+   */
+  _abortGatt(device) {
+    this.txCharacteristic = null;
+    this._stopRx();
+    if (device.gatt.connected) {
+      this._disconnecting = true;
+      device.gatt.disconnect();
+      this._disconnecting = false;
+    }
+    this._log('info', `Conexión con ${device.name} cancelada`);
+    return false;
+  }
+
+  /**
+   * gattserverdisconnected: pedido por el usuario o durante un intento
+   * (connect/_tryReconnect manejan su propio error) → nada; si estaba
+   * CONNECTED, reset/reflash/fuera de alcance → RECONNECTING.
+   */
+  _gattDisconnected() {
+    if (this._disconnecting || this.state !== BleState.CONNECTED) return;
+
+    this.txCharacteristic = null;
+    this._stopRx();
+    this._replies = [];
+    this._stopKeepAlive();
+
+    if (!this.autoReconnect) {
+      this._log('info', 'micro:bit desconectada');
+      this._setState(BleState.DISCONNECTED);
+      return;
+    }
+
+    this._log('warn', 'micro:bit perdida (¿reset o programa nuevo?) — reconectando');
+    this._reconnect = { attempt: 0, timer: null };
+    this._setState(BleState.RECONNECTING);
+    this._scheduleReconnect();
+  }
+
+  /**
+   * Suscripción al 0002 (indicate en la micro:bit). Un programa sin el
+   * servicio UART completo no lo tiene: se sigue solo con TX.
+   */
+  async _startRx(service) {
+    this._stopRx();
+    try {
+      var rx = await service.getCharacteristic(UART_RX_UUID);
+      rx.addEventListener('characteristicvaluechanged', this._onRxValue);
+      await rx.startNotifications();
+      this.rxCharacteristic = rx;
+    } catch (e) {
+      if (rx) rx.removeEventListener('characteristicvaluechanged', this._onRxValue);
+      this._log('warn', `RX no disponible (solo envío): ${e.message}`);
+    }
+  }
+
+  /** Suelta el 0002 (el GATT ya está cortado o se va a cortar: sin stopNotifications). */
+  _stopRx() {
+    if (this.rxCharacteristic) {
+      this.rxCharacteristic.removeEventListener('characteristicvaluechanged', this._onRxValue);
+      this.rxCharacteristic = null;
+    }
+    this._rxBuffer = '';
+  }
+
+  /** Notificación del 0002: junta los fragmentos y entrega línea por línea. */
+  _rxValue(event) {
+    var text = new TextDecoder().decode(event.target.value);
+    var parts = (this._rxBuffer + text).split(/\r?\n/);
+    this._rxBuffer = parts.pop();
+    if (this._rxBuffer.length > RX_LINE_MAX) this._rxBuffer = '';
+
+    for (var i = 0; i < parts.length; i++) {
+      var line = parts[i].trim();
+      if (line && this.onReceive) this.onReceive(line);
+    }
+  }
+
+  _scheduleReconnect() {
+    var r = this._reconnect;
+    if (r.attempt >= RECONNECT_ATTEMPTS) {
+      this._log('err', 'No se pudo reconectar la micro:bit después de ' + RECONNECT_ATTEMPTS + ' intentos');
+      this._reconnect = null;
+      this._cleanup();
+      return;
+    }
+
+    var delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, r.attempt));
+    r.attempt++;
+    this._log('info', 'Reintento ' + r.attempt + '/' + RECONNECT_ATTEMPTS + ' en ' + (delay / 1000) + ' s');
+    var self = this;
+    r.timer = setTimeout(function() { self._tryReconnect(); }, delay);
+  }
+
+  /** Un reintento con el mismo BluetoothDevice. */
+  async _tryReconnect() {
+    var r = this._reconnect;
+    if (!r) return;
+    r.timer = null;
+
+    try {
+      await this._connectGatt();
+      if (this._reconnect !== r) return;  // disconnect() durante el intento
+      this._reconnect = null;
+      this._log('info', `micro:bit reconectada: ${this.device.name}`);
+    } catch (e) {
+      if (this._reconnect !== r) return;
+      this._log('warn', `Reintento fallido: ${e.message}`);
+      this._scheduleReconnect();
+    }
+  }
+
+  _cancelReconnect() {
+    if (this._reconnect) {
+      clearTimeout(this._reconnect.timer);
+      this._reconnect = null;
+    }
+  }
+
+  /** Último equipo autorizado, o el único si no hay uno recordado. */
+  async _knownDevice() {
+    var devices = await MicrobitBLE.knownDevices();
+    var lastId = MicrobitBLE.rememberedIds()[0];
+    return devices.find(function(d) { return d.id === lastId; })
+      || (devices.length === 1 ? devices[0] : null);
+  }
+
+  _remember(device) {
+    var ids = MicrobitBLE.rememberedIds().filter(function(id) { return id !== device.id; });
+    this._saveIds([device.id].concat(ids).slice(0, REMEMBER_MAX));
+  }
+
+  _forget(device) {
+    this._saveIds(MicrobitBLE.rememberedIds().filter(function(id) { return id !== device.id; }));
+  }
+
+  _saveIds(ids) {
+    try {
+      if (typeof localStorage !== 'undefined') localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+    } catch (e) {
+      // sin storage: al recargar habrá que elegirla de nuevo
+    }
+  }
+
+  /**
+   * Un device de getDevices() solo conecta si está anunciándose. Sin
+   * watchAdvertisements se intenta directo.
+   */
+  _waitAdvertisement(device) {
+    if (!device.watchAdvertisements) return Promise.resolve();
+    return new Promise(function(resolve, reject) {
+      var abort = new AbortController();
+      var timer = setTimeout(function() {
+        abort.abort();
+        reject(new Error(device.name + ' no está al alcance'));
+      }, ADVERTISEMENT_TIMEOUT);
+      device.addEventListener('advertisementreceived', function() {
+        clearTimeout(timer);
+        abort.abort();
+        resolve();
+      }, { once: true });
+      device.watchAdvertisements({ signal: abort.signal }).catch(function(e) {
+        clearTimeout(timer);
+        reject(e);
+      });
+    });
+  }
+
   _cleanup() {
     this.txCharacteristic = null;
+    this._stopRx();
+    this._pending = {};
+    this._replies = [];
     this._stopKeepAlive();
     this._setState(BleState.DISCONNECTED);
   }
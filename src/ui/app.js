@@ -19,6 +19,17 @@ import { Bridge } from '../bridge/bridge.js';
 import { LabdiscConnection, ConnectionState } from '../labdisc/connection.js';
 import { MicrobitBLE, BleState } from '../microbit/ble-uart.js';
 import { Logger } from './logger.js';
+import { tableToCSV, experimentLogToCSV } from '../labdisc/memory.js';
+import { SENSORS, EXTERNAL_SENSORS } from '../labdisc/sensors.js';
+import { RATE_TABLE, COUNT_TABLE } from '../labdisc/protocol.js';
+import { saveFile, fileStamp } from './download.js';
+import { parseCapture } from '../labdisc/capture.js';
+import { formulaFromText, formulaToText } from '../labdisc/external-sensors.js';
+import { unitKey } from '../bridge/units.js';
+import { layoutField, availableFields, LINE_MAX_BYTES, UART_FACTORS, STANDARD_LAYOUT } from '../bridge/uart-layout.js';
+import { trackToGPX, trackToKML } from '../labdisc/gps-track.js';
+import { drawTrack } from './track-plot.js';
+import { parseHexBytes, diffPackets, groupResponses } from '../labdisc/workbench.js';
 
 // ─── DOM references ───
 const $ = id => document.getElementById(id);
@@ -29,12 +40,22 @@ const bridge = new Bridge();
 const logger = new Logger($('logBody'));
 logger.counterEl = $('logCount');
 
+// Preferencias persistentes
+const PREF_SYNC_CLOCK = 'labdisc.syncClock';
+const PREF_DEVICE = 'labdisc.device';
+const PREF_MICROBIT_COMMANDS = 'microbit.commands';
+bridge.syncClockOnConnect = localStorage.getItem(PREF_SYNC_CLOCK) === '1';
+$('syncClockCheck').checked = bridge.syncClockOnConnect;
+bridge.microbitCommands = localStorage.getItem(PREF_MICROBIT_COMMANDS) === '1';
+$('microbitCommandsCheck').checked = bridge.microbitCommands;
+
 // Expose for console debugging
 window.bridge = bridge;
 
 // ─── Wire bridge to UI ───
 
 bridge.onLog = (type, msg) => logger.log(type, msg);
+bridge.layouts.loadWarnings.forEach(msg => logger.log('warn', msg));
 bridge.onUpdate = () => renderState();
 
 // ─── Button handlers (global, called from onclick in HTML) ───
@@ -47,9 +68,24 @@ window.handleLabdisc = async () => {
   }
 };
 
-window.handleMicrobit = async () => {
-  if (bridge.microbit.isConnected) {
-    await bridge.disconnectMicrobit();
+/** Conectar a otro Labdisc (selector del navegador aunque haya un port recordado) */
+window.handleChoosePort = async () => {
+  await bridge.connectLabdisc({ choosePort: true });
+};
+
+/** Segundo Labdisc: conectar, o desconectar / cortar sus reintentos */
+window.handleLabdisc2 = async () => {
+  if (bridge.labdisc2) {
+    await bridge.disconnectLabdisc2();
+  } else {
+    await bridge.connectLabdisc2();
+  }
+};
+
+/** Sin id: conectar una micro:bit más. Con id: desconectar esa (o cortar sus reintentos). */
+window.handleMicrobit = async (id) => {
+  if (id !== undefined) {
+    await bridge.disconnectMicrobit(id);
   } else {
     await bridge.connectMicrobit();
   }
@@ -59,6 +95,26 @@ window.handleHz = (value) => {
   bridge.setHz(parseFloat(value));
 };
 
+window.handleActiveSensor = (id, checked) => {
+  const selected = bridge.labdisc.sensorReport().filter(r => r.selected).map(r => r.id);
+  const next = checked ? selected.concat(id) : selected.filter(x => x !== id);
+  // Todos elegidos = sin filtro (así un sensor nuevo entra solo)
+  bridge.setSelectedSensors(next.length === bridge.labdisc.sensorReport().length ? null : next);
+};
+
+window.handleAllSensors = () => {
+  bridge.setSelectedSensors(null);
+};
+
+window.handleDevice = async (value) => {
+  await bridge.useDemoLabdisc(value === 'demo');
+  localStorage.setItem(PREF_DEVICE, value);
+};
+
+window.handleMode = async (value) => {
+  await bridge.setMode(value);
+};
+
 window.handleManualStream = async () => {
   if (bridge.labdisc.isStreaming) {
     await bridge.manualStopStream();
@@ -67,7 +123,349 @@ window.handleManualStream = async () => {
   }
 };
 
-// ─── Render ───
+window.handleRecord = () => {
+  if (!bridge.labdisc.recorder) {
+    bridge.startRecording();
+    return;
+  }
+  const rec = bridge.stopRecording();
+  if (!rec || rec.events.length === 0) return;
+  const note = window.prompt('Descripción de la captura (opcional):', '') || '';
+  saveFile(`labdisc-captura_${fileStamp()}.json`, rec.toJSON(note), 'application/json');
+};
+
+window.handleReplay = async () => {
+  if (bridge.labdisc._replay) {
+    await bridge.disconnectLabdisc();
+    return;
+  }
+  $('replayFile').click();
+};
+
+window.handleReplayFile = async (input) => {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+  try {
+    const capture = parseCapture(await file.text());
+    if (capture.note) logger.log('info', `Captura: ${capture.note}`);
+    bridge.replayCapture(capture, parseFloat($('replaySpeed').value));
+  } catch (e) {
+    logger.log('err', `Captura inválida: ${e.message}`);
+  }
+};
+
+/** Sensores elegidos para el registro en el Labdisc */
+const loggingSelection = new Set();
+
+window.handleLoggingSensor = (id, checked) => {
+  if (checked) loggingSelection.add(id);
+  else loggingSelection.delete(id);
+};
+
+window.handleLogging = async () => {
+  if (bridge.labdisc.state === ConnectionState.LOGGING) {
+    await bridge.stopLogging();
+  } else {
+    await bridge.startLogging(
+      Array.from(loggingSelection),
+      parseInt($('loggingRate').value, 10),
+      parseInt($('loggingCount').value, 10));
+  }
+};
+
+window.handleSyncClockOption = (checked) => {
+  bridge.syncClockOnConnect = checked;
+  localStorage.setItem(PREF_SYNC_CLOCK, checked ? '1' : '0');
+};
+
+window.handleMicrobitCommandsOption = (checked) => {
+  bridge.microbitCommands = checked;
+  localStorage.setItem(PREF_MICROBIT_COMMANDS, checked ? '1' : '0');
+  if (bridge.microbits.length > 0) logger.log('info', 'Comandos de la micro:bit: se aplica al volver a conectar cada placa');
+};
+
+window.handleSyncClock = async () => {
+  await bridge.syncClock();
+};
+
+window.handleReadMemory = async () => {
+  await bridge.readDeviceMemory();
+};
+
+window.handleDownloadExperiment = async (index) => {
+  await bridge.downloadExperiment(index);
+};
+
+window.handleSaveExperiment = () => {
+  const table = bridge.memoryTable;
+  if (!table) return;
+  saveFile(`labdisc-exp${table.record.index}_${fileStamp()}.csv`, tableToCSV(table), 'text/csv');
+};
+
+// ─── Recorrido GPS ───
+
+window.handleTrack = () => {
+  if (bridge.trackRecording) bridge.stopTrack();
+  else bridge.startTrack();
+};
+
+window.handleTrackClear = () => {
+  bridge.clearTrack();
+};
+
+window.handleTrackColor = () => {
+  trackDrawnKey = '';
+  renderState();
+};
+
+window.handleTrackExport = (format) => {
+  const name = `Labdisc ${new Date().toLocaleString()}`;
+  if (format === 'kml') {
+    saveFile(`labdisc-recorrido_${fileStamp()}.kml`, trackToKML(bridge.track, name), 'application/vnd.google-earth.kml+xml');
+  } else {
+    saveFile(`labdisc-recorrido_${fileStamp()}.gpx`, trackToGPX(bridge.track, name), 'application/gpx+xml');
+  }
+};
+
+// ─── Unidades ───
+
+window.handleUnit = (key, unit, baseUnit) => {
+  bridge.setDisplayUnit(key, unit, baseUnit);
+};
+
+window.handleUnitScaleUart = (enabled) => {
+  bridge.setUartUnitScaling(enabled);
+};
+
+// ─── Líneas UART ───
+
+/** Perfil en edición: { name, lines: [[{ id, gpsField?, factor }], [...]] } (null = copia del perfil en uso) */
+let layoutDraft = null;
+
+function compactLayout(lines) {
+  return lines.map(line => line.map(e => e.gpsField
+    ? { id: e.id, gpsField: e.gpsField, factor: e.factor }
+    : { id: e.id, factor: e.factor }));
+}
+
+function editLayout() {
+  if (!layoutDraft) layoutDraft = { name: bridge.layouts.activeName, lines: compactLayout(bridge.layouts.lines()) };
+  return layoutDraft;
+}
+
+window.handleLayoutProfile = (name) => {
+  layoutDraft = null;
+  bridge.setUartLayout(name);
+};
+
+window.handleLayoutAdd = (n) => {
+  const [id, gpsField] = $('layoutAdd' + n).value.split('.');
+  editLayout().lines[n].push(compactLayout([[layoutField(id, gpsField)]])[0][0]);
+  renderState();
+};
+
+window.handleLayoutMove = (n, i, delta) => {
+  const line = editLayout().lines[n];
+  const j = i + delta;
+  if (j < 0 || j >= line.length) return;
+  [line[i], line[j]] = [line[j], line[i]];
+  renderState();
+};
+
+/** Pasa el campo al final de la otra línea */
+window.handleLayoutOtherLine = (n, i) => {
+  const lines = editLayout().lines;
+  lines[1 - n].push(lines[n].splice(i, 1)[0]);
+  renderState();
+};
+
+window.handleLayoutFactor = (n, i, factor) => {
+  editLayout().lines[n][i].factor = Number(factor);
+  renderState();
+};
+
+window.handleLayoutDrop = (n, i) => {
+  editLayout().lines[n].splice(i, 1);
+  renderState();
+};
+
+window.handleLayoutSave = () => {
+  const draft = editLayout();
+  const name = $('layoutName').value.trim() || (draft.name !== STANDARD_LAYOUT ? draft.name : '');
+  try {
+    const bytes = bridge.saveUartLayout(name, draft.lines);
+    layoutDraft = null;
+    $('layoutName').value = '';
+    $('layoutInfo').textContent = bytes.some(b => b > LINE_MAX_BYTES)
+      ? `Perfil ${name} guardado, pero alguna línea puede pasar de ${LINE_MAX_BYTES} bytes`
+      : `Perfil ${name} guardado y en uso`;
+  } catch (e) {
+    $('layoutInfo').textContent = e.message;
+  }
+};
+
+window.handleLayoutRemove = () => {
+  const name = bridge.layouts.activeName;
+  if (name === STANDARD_LAYOUT) return;
+  layoutDraft = null;
+  bridge.removeUartLayout(name);
+  $('layoutInfo').textContent = `Perfil ${name} borrado: la micro:bit recibe el ${STANDARD_LAYOUT}`;
+};
+
+// ─── Calibración ───
+
+window.handleCalDevice = (name) => {
+  bridge.setCalibrationDevice(name);
+};
+
+window.handleCalSensor = () => {
+  renderState();
+};
+
+window.handleCalNewDevice = () => {
+  try {
+    bridge.setCalibrationDevice($('calNewDevice').value);
+    $('calNewDevice').value = '';
+  } catch (e) {
+    $('calInfo').textContent = e.message;
+  }
+};
+
+function calibrationInput() {
+  const sid = parseInt($('calSensor').value, 10);
+  const reference = parseFloat($('calReference').value);
+  if (!Number.isFinite(reference)) throw new Error('Ingresá el valor de referencia');
+  return { sid, reference };
+}
+
+window.handleCalOffset = () => {
+  try {
+    const { sid, reference } = calibrationInput();
+    const rec = bridge.calibrateOffset(sid, reference);
+    $('calInfo').textContent = `Offset ${rec.offset.toFixed(4)} guardado`;
+  } catch (e) {
+    $('calInfo').textContent = e.message;
+  }
+};
+
+window.handleCalPoint = () => {
+  try {
+    const { sid, reference } = calibrationInput();
+    const rec = bridge.captureCalibrationPoint(sid, reference);
+    $('calInfo').textContent = rec
+      ? `Calibración guardada: gain ${rec.gain.toFixed(4)}, offset ${rec.offset.toFixed(4)}`
+      : 'Punto 1 capturado. Poné la sonda en la segunda referencia y capturá el punto 2';
+    $('calReference').value = '';
+  } catch (e) {
+    $('calInfo').textContent = e.message;
+  }
+};
+
+window.handleCalCancel = () => {
+  bridge.cancelCalibration();
+  $('calInfo').textContent = 'Calibración cancelada';
+};
+
+window.handleCalClear = (sid) => {
+  bridge.clearCalibration(sid);
+};
+
+// ─── Sensores externos ───
+
+const FORMULA_PLACEHOLDERS = {
+  linear: 'gain, offset   (ej. 0.0184, 0)',
+  poly: 'c0, c1, c2, ...   (ej. -12.5, 0.02, 0.000001)',
+  table: 'un punto por línea: raw valor\n1000 0\n30000 50\n60000 100',
+};
+
+window.handleExtFormulaType = (type) => {
+  $('extParams').placeholder = FORMULA_PLACEHOLDERS[type];
+};
+
+window.handleExtSave = () => {
+  try {
+    const def = bridge.externalSensors.add({
+      id: parseInt($('extId').value, 10),
+      name: $('extName').value,
+      unit: $('extUnit').value,
+      dec: parseInt($('extDec').value, 10),
+      factor: parseFloat($('extFactor').value),
+      replacesId: parseInt($('extReplaces').value, 10),
+      formula: formulaFromText($('extFormula').value, $('extParams').value),
+    });
+    $('extInfo').textContent = `Guardado: ${def.name} (ID ${def.id})`;
+  } catch (e) {
+    $('extInfo').textContent = e.message;
+  }
+};
+
+window.handleExtEdit = (id) => {
+  const def = bridge.externalSensors.definitions.find(d => d.id === id);
+  if (!def) return;
+  $('extId').value = def.id;
+  $('extName').value = def.name;
+  $('extUnit').value = def.unit;
+  $('extDec').value = def.dec;
+  $('extFactor').value = def.factor;
+  $('extReplaces').value = def.replacesId;
+  $('extFormula').value = def.formula.type;
+  $('extParams').value = formulaToText(def.formula);
+};
+
+window.handleExtRemove = (id) => {
+  bridge.externalSensors.remove(id);
+};
+
+// ─── Banco de pruebas del protocolo ───
+
+window.handleWbSend = async () => {
+  let code, payload;
+  try {
+    code = parseHexBytes($('wbCode').value);
+    payload = parseHexBytes($('wbPayload').value);
+  } catch (e) {
+    logger.log('err', `Banco de pruebas: ${e.message}`);
+    return;
+  }
+  if (code.length !== 1) {
+    logger.log('err', 'Banco de pruebas: el comando es un solo byte (ej. 45)');
+    return;
+  }
+  await bridge.sendWorkbenchCommand(code[0], payload, parseInt($('wbWindow').value, 10));
+};
+
+window.handleWbNote = (id, value) => {
+  bridge.workbench.annotate(id, value);
+};
+
+window.handleWbRemove = (id) => {
+  bridge.workbench.remove(id);
+};
+
+window.handleWbSave = () => {
+  saveFile(`labdisc-hallazgos_${fileStamp()}.json`, bridge.workbench.findingsToJSON(), 'application/json');
+};
+
+window.handleWbDiff = () => {
+  renderWorkbenchDiff(bridge.workbench.exchanges);
+};
+
+window.handleClearMemory = async () => {
+  await bridge.prepareClearMemory();
+};
+
+window.handleExportMemoryLog = () => {
+  saveFile(`labdisc-memoria_${fileStamp()}.csv`, experimentLogToCSV(bridge.memoryLog), 'text/csv');
+};
+
+window.handleConfirmClearMemory = async () => {
+  await bridge.clearDeviceMemory();
+};
+
+window.handleCancelClearMemory = () => {
+  bridge.cancelClearMemory();
+};
 
 function renderState() {
   const s = bridge.getState();
@@ -77,13 +475,17 @@ function renderState() {
   // - DISCONNECTED: nodo gris, puente punteado
   // - CONNECTING: nodo pulsando, puente punteado, botón deshabilitado
   // - CONNECTED (o STREAMING): nodo teal, puente sólido
-  const labConn = s.labdisc === ConnectionState.CONNECTED || s.labdisc === ConnectionState.STREAMING;
+  const labConn = s.labdisc === ConnectionState.CONNECTED
+    || s.labdisc === ConnectionState.STREAMING
+    || s.labdisc === ConnectionState.STALLED
+    || s.labdisc === ConnectionState.LOGGING;
   const labConnecting = s.labdisc === ConnectionState.CONNECTING;
+  const labReconnecting = s.labdisc === ConnectionState.RECONNECTING;
 
   // Nodo del diagrama
   const labNode = $('labNode');
   labNode.classList.toggle('connected', labConn);
-  labNode.classList.toggle('connecting', labConnecting);
+  labNode.classList.toggle('connecting', labConnecting || labReconnecting);
 
   // Puente Labdisc↔App
   const labBridge = $('labBridge');
@@ -95,53 +497,57 @@ function renderState() {
     btnLab.textContent = 'Conectando...';
     btnLab.className = 'btn btn-sm btn-connect';
     btnLab.disabled = true;
+  } else if (labReconnecting) {
+    // Desconectar corta los reintentos
+    btnLab.textContent = 'Cancelar';
+    btnLab.className = 'btn btn-sm btn-disconnect';
+    btnLab.disabled = false;
   } else {
     btnLab.textContent = labConn ? 'Desconectar' : 'Conectar';
     btnLab.className = `btn btn-sm ${labConn ? 'btn-disconnect' : 'btn-connect'}`;
-    btnLab.disabled = false;
+    btnLab.disabled = !s.demo && !LabdiscConnection.isSupported();
   }
 
-  // Detalle del Labdisc
-  $('labDetail').textContent = labConn ? 'Conectado' : (labConnecting ? 'Conectando...' : '');
+  $('labName').textContent = s.demo ? 'Demo Labdisc' : 'Labdisc';
+  $('deviceSelect').value = s.demo ? 'demo' : 'serial';
+  $('deviceSelect').disabled = labConn || labConnecting || labReconnecting;
+  $('btnChoosePort').disabled = s.demo || labConn || labConnecting || labReconnecting;
 
-  // ── micro:bit connection ──
-  const microConn = s.microbit === BleState.CONNECTED;
-  const microConnecting = s.microbit === BleState.CONNECTING;
-
-  const microNode = $('microNode');
-  microNode.classList.toggle('connected', microConn);
-  microNode.classList.toggle('connecting', microConnecting);
-
-  const microBridge = $('microBridge');
-  microBridge.classList.toggle('active', microConn);
+  // Detalle del Labdisc
+  $('labDetail').textContent = s.replaying ? 'Captura'
+    : s.labdisc === ConnectionState.LOGGING ? 'Registrando'
+    : labReconnecting ? 'Reconectando...'
+    : s.labdisc === ConnectionState.STALLED ? 'Sin datos'
+    : labConn ? 'Conectado' : (labConnecting ? 'Conectando...' : '');
 
-  const btnMicro = $('btnMicrobit');
-  if (microConnecting) {
-    btnMicro.textContent = 'Conectando...';
-    btnMicro.className = 'btn btn-sm btn-connect';
-    btnMicro.disabled = true;
-  } else {
-    btnMicro.textContent = microConn ? 'Desconectar' : 'Conectar';
-    btnMicro.className = `btn btn-sm ${microConn ? 'btn-disconnect' : 'btn-connect'}`;
-    btnMicro.disabled = false;
-  }
+  renderLabdisc2(s, labConn);
 
-  $('microDetail').textContent = microConn ? 'Conectada' : (microConnecting ? 'Conectando...' : '');
+  // ── micro:bits ──
+  renderMicrobits(s.microbits);
 
   // ── Streaming status ──
-  const streaming = s.labdisc === ConnectionState.STREAMING;
+  const receiving = s.microbits.filter(m => m.state === BleState.CONNECTED).length;
+
+  // STALLED: el stream sigue corriendo (Stop lo detiene) pero sin datos
+  const stalled = s.labdisc === ConnectionState.STALLED;
+  const streaming = s.labdisc === ConnectionState.STREAMING || stalled;
 
   // Dot indicator
   const streamDot = $('streamDot');
-  streamDot.className = `status-indicator ${streaming ? 'streaming' : ''}`;
+  streamDot.className = `status-indicator ${stalled ? 'stalled' : streaming ? 'streaming' : ''}`;
 
   // Status text
-  const streamLabel = streaming
-    ? `${s.pollHz} Hz · ${s.packetCount} pkt${s.uartSentCount > 0 ? ' · → ' + s.uartSentCount + ' uart' : ''}`
+  const streamLabel = stalled
+    ? `${s.mode} ${s.pollHz} Hz · sin datos hace ${Math.round(s.silenceMs / 1000)} s`
+    : streaming
+    ? `${s.mode} ${s.pollHz} Hz · ${s.packetCount} pkt${receiving > 0 ? ' · → ' + receiving + ' micro:bit' + (receiving > 1 ? 's' : '') : ''}`
     : 'Idle';
   const streamEl = $('streamStatus');
   streamEl.textContent = streamLabel;
-  streamEl.className = `status-text-main ${streaming ? 'active' : ''}`;
+  streamEl.className = `status-text-main ${stalled ? 'stalled' : streaming ? 'active' : ''}`;
+
+  // Link health — pérdidas y latencia de la ventana de LinkStats
+  renderLinkHealth(s.link, streaming);
 
   // Manual stream button — mismo esquema de colores que conectar/desconectar
   $('btnStream').textContent = streaming ? '⏹ Stop' : '▶ Stream';
@@ -150,8 +556,8 @@ function renderState() {
 
   // ── UART debug line ──
   if (s.lastUartLine) {
-    $('uartInfo').textContent = s.uartSentCount > 0
-      ? `→ micro:bit: ${s.uartSentCount} líneas · `
+    $('uartInfo').textContent = receiving > 0
+      ? `→ ${receiving} micro:bit${receiving > 1 ? 's' : ''} · `
       : '→ UART (micro:bit no conectada) · ';
     $('uartLine').textContent = s.lastUartLine;
   } else {
@@ -161,6 +567,37 @@ function renderState() {
 
   // ── Sensor values ──
   renderSensorValues(s.displayValues);
+  renderPairs(s.exclusivePairs);
+
+  $('modeSelect').value = s.mode;
+  if (s.labdisc === ConnectionState.STREAMING) $('hzSelect').value = String(s.pollHz);
+
+  // ── Captura serial ──
+  $('btnRecord').textContent = s.recording ? '⏹ Detener y guardar' : '⏺ Grabar';
+  $('btnRecord').className = `btn btn-sm ${s.recording ? 'btn-disconnect' : 'btn-outline'}`;
+  if (s.recording) $('recordInfo').textContent = `Grabando · ${bridge.labdisc.recorder.events.length} eventos`;
+  $('btnReplay').textContent = s.replaying ? '⏹ Detener reproducción' : '▶ Reproducir captura';
+  $('btnReplay').disabled = labConn && !s.replaying;
+
+  // ── Registro en el Labdisc ──
+  renderLogging(s);
+  renderActiveSensors(s);
+
+  // ── Reloj ──
+  $('btnSyncClock').disabled = s.labdisc !== ConnectionState.CONNECTED;
+  $('clockInfo').textContent = s.deviceStatus && labConn
+    ? `Labdisc: ${s.deviceStatus.date} ${s.deviceStatus.time}`
+    : '';
+
+  // ── Memoria del dispositivo ──
+  renderMemory(s, s.labdisc === ConnectionState.CONNECTED);
+  renderWorkbench(s, labConn);
+  renderDeviceInfo(s.deviceStatus, labConn);
+  renderExternalSensors(s);
+  renderCalibration(s);
+  renderUnits(s);
+  renderLayout(s);
+  renderTrack(s);
 }
 
 function renderSensorValues(values) {
@@ -172,12 +609,564 @@ function renderSensorValues(values) {
 
   grid.innerHTML = values.map(v => `
     <div class="sensor-card ${v.hasData ? 'active' : ''}">
+      ${v.device ? `<div class="sensor-device">${v.device}</div>` : ''}
       <div class="sensor-name">${v.name}</div>
       <div class="sensor-value ${v.hasData ? '' : 'dim'}">${v.value}<span class="sensor-unit">${v.hasData ? v.unit : ''}</span></div>
     </div>
   `).join('');
 }
 
+/** Lado activo de los pares exclusivos (botón del Labdisc) */
+function renderPairs(pairs) {
+  const name = id => SENSORS[id] ? SENSORS[id].name : id;
+  $('pairInfo').hidden = pairs.length === 0;
+  $('pairInfo').textContent = pairs.map(p => p.active
+    ? `${p.name}: activo ${name(p.active)} (${name(p.ids[0] === p.active ? p.ids[1] : p.ids[0])} no se envía)`
+    : `${p.name}: detectando…`).join(' · ');
+}
+
+function renderLinkHealth(link, streaming) {
+  const el = $('linkHealth');
+  el.hidden = !streaming;
+  if (!streaming) return;
+
+  const loss = (link.lossRate * 100).toFixed(1);
+  const latency = link.latencyMs !== null ? ` · ${link.latencyMs} ms` : '';
+  el.className = `link-health ${link.health}`;
+  el.textContent = link.health === 'idle' ? 'enlace: —' : `pérdida ${loss}%${latency}`;
+  el.title = `Últimos 10 s: ${link.received} recibidos, ${link.lost} perdidos, ` +
+    `${link.badChecksums} checksums malos, ${link.resyncBytes} bytes descartados`;
+}
+
+/** Fila "Labdisc 2" de Dispositivo: solo con el primero conectado */
+function renderLabdisc2(s, labConn) {
+  const st = s.labdisc2;
+  const btn = $('btnLabdisc2');
+  btn.textContent = st === null ? 'Conectar'
+    : st === ConnectionState.CONNECTING ? 'Conectando...'
+    : st === ConnectionState.RECONNECTING ? 'Cancelar'
+    : 'Desconectar';
+  btn.disabled = st === ConnectionState.CONNECTING || (st === null && (!labConn || s.replaying));
+
+  $('labdisc2Info').textContent = st === null
+    ? (labConn ? 'Comparar dos ambientes: la micro:bit recibe sus valores en las líneas C y D' : 'Conectá primero el Labdisc 1')
+    : st === ConnectionState.RECONNECTING ? 'Reconectando...'
+    : st === ConnectionState.STALLED ? 'Sin datos'
+    : st === ConnectionState.CONNECTING ? ''
+    : `${s.labdisc2Sensors} sensores · líneas C y D`;
+}
+
+let microbitsKey = '';
+
+/**
+ * Una fila [puente][nodo] por micro:bit, más la fila para conectar otra.
+ * La estructura se re-arma solo si cambia la lista o algún estado; las
+ * estadísticas de envío se actualizan en cada paquete.
+ */
+function renderMicrobits(list) {
+  const key = list.map(m => `${m.id}:${m.name}:${m.state}`).join(',');
+  if (key !== microbitsKey) {
+    microbitsKey = key;
+    const icon = $('microIconTpl').innerHTML;
+    const supported = MicrobitBLE.isSupported();
+
+    const row = (m) => {
+      const conn = m && m.state === BleState.CONNECTED;
+      const connecting = m && m.state === BleState.CONNECTING;
+      const reconnecting = m && m.state === BleState.RECONNECTING;
+      const btn = !m ? (list.length > 0 ? '+ Otra' : 'Conectar')
+        : connecting ? 'Conectando...'
+        : reconnecting ? 'Cancelar'   // desconectar corta los reintentos
+        : 'Desconectar';
+      const btnClass = m && !connecting ? 'btn-disconnect' : 'btn-connect';
+      const onclick = m ? `handleMicrobit(${m.id})` : 'handleMicrobit()';
+      return `
+        <div class="micro-row${m ? '' : ' micro-add'}">
+          <div class="connection-bridge${conn ? ' active' : ''}">
+            <div class="bridge-line"><div class="bridge-arrow-left"></div></div>
+            <button class="btn btn-sm ${btnClass}" onclick="${onclick}" ${connecting || !supported ? 'disabled' : ''}>${btn}</button>
+          </div>
+          <div class="device-node${conn ? ' connected' : ''}${connecting || reconnecting ? ' connecting' : ''}">
+            <div class="device-icon">${icon}</div>
+            <div class="device-name">${m ? escapeAttr(m.name) : 'micro:bit'}</div>
+            <div class="device-detail" ${m ? `id="microDetail${m.id}"` : ''}></div>
+          </div>
+        </div>`;
+    };
+
+    $('microStack').innerHTML = list.map(row).join('') + row(null);
+  }
+
+  // Detalle y estadísticas de envío de cada placa
+  list.forEach(m => {
+    const el = $('microDetail' + m.id);
+    if (!el) return;
+    const st = m.stats;
+    const dropped = st.dropped[1] + st.dropped[2];
+    el.textContent = m.state === BleState.RECONNECTING ? 'Reconectando...'
+      : m.state === BleState.CONNECTING ? 'Conectando...'
+      : st.sent > 0 ? `${st.sent} enviados` + (dropped > 0 ? ` · ${dropped} desc.` : '')
+      : 'Conectada';
+    el.title = `${st.sent} paquetes enviados, ${st.dropped[1]} de Labdisc 1 y ${st.dropped[2]} de Labdisc 2 ` +
+      `descartados (placa ocupada), ${st.errors} con error`;
+  });
+}
+
+let activeSensorsKey = '';
+
+function renderActiveSensors(s) {
+  const report = s.sensorReport;
+  const key = s.effectiveHz + '|' + report.map(r => `${r.id}:${r.selected}:${r.compatible}`).join(',');
+  if (key === activeSensorsKey) return;
+  activeSensorsKey = key;
+
+  if (report.length === 0) {
+    $('activeSensors').innerHTML = '<span class="hint">Conectá el Labdisc</span>';
+    $('activeSensorsInfo').textContent = '';
+    return;
+  }
+
+  const name = id => SENSORS[id] ? SENSORS[id].name : '?(' + id + ')';
+  $('activeSensors').innerHTML = report.map(r => `
+    <label class="${r.compatible ? '' : 'incompatible'}" title="Máx ${r.maxHz} Hz">
+      <input type="checkbox" ${r.selected ? 'checked' : ''} ${r.compatible ? '' : 'disabled'}
+        onchange="handleActiveSensor(${r.id}, this.checked)">
+      ${name(r.id)}</label>`).join('');
+
+  const excluded = report.filter(r => r.selected && !r.compatible);
+  $('activeSensorsInfo').textContent = excluded.length > 0
+    ? `A ${s.effectiveHz} Hz quedan afuera: ${excluded.map(r => `${name(r.id)} (máx ${r.maxHz} Hz)`).join(', ')}. ` +
+      'No se envían a la micro:bit (−9999).'
+    : `${report.filter(r => r.active).length} de ${report.length} sensores activos a ${s.effectiveHz} Hz`;
+}
+
+let loggingSensorsKey = '';
+
+function renderLogging(s) {
+  const logging = s.labdisc === ConnectionState.LOGGING;
+
+  // Solo re-armar los checkboxes si cambió la lista de sensores,
+  // para no pisar un click en curso.
+  const key = s.sensorIds.join(',');
+  if (key !== loggingSensorsKey) {
+    loggingSensorsKey = key;
+    loggingSelection.clear();
+    s.sensorIds.forEach(id => loggingSelection.add(id));
+    $('loggingSensors').innerHTML = s.sensorIds.map(id => `
+      <label><input type="checkbox" checked onchange="handleLoggingSensor(${id}, this.checked)">
+        ${SENSORS[id] ? SENSORS[id].name : '?(' + id + ')'}</label>`).join('');
+  }
+
+  const btn = $('btnLogging');
+  btn.textContent = logging ? '⏹ Detener' : '▶ Registrar';
+  btn.className = `btn btn-sm ${logging ? 'btn-disconnect' : 'btn-connect'}`;
+  btn.disabled = !logging && s.labdisc !== ConnectionState.CONNECTED;
+
+  const p = s.logging;
+  $('loggingProgress').hidden = !p;
+  if (p) {
+    const elapsed = Math.round(p.elapsedMs / 1000);
+    $('loggingInfo').textContent = p.expectedMs
+      ? `${elapsed} s de ${Math.round(p.expectedMs / 1000)} s`
+      : `${elapsed} s (duración desconocida)`;
+    $('loggingProgressFill').style.width = p.fraction !== null ? `${Math.round(p.fraction * 100)}%` : '100%';
+  } else {
+    $('loggingInfo').textContent = bridge.labdisc.isStreaming ? 'Detené el stream para registrar' : '';
+  }
+}
+
+/** Preview rows shown under the experiment list (the CSV has all of them) */
+const MEMORY_PREVIEW_ROWS = 20;
+
+function renderMemory(s, idle) {
+  $('btnMemory').disabled = !idle || s.memoryBusy;
+  $('btnMemorySave').disabled = !s.memoryTable || s.memoryTable.rows.length === 0;
+
+  let info = '';
+  if (s.memoryBusy) info = s.memoryClear ? 'Borrando...' : 'Leyendo...';
+  else if (!idle) info = 'Conectá el Labdisc y detené el stream';
+  else if (s.memoryTable) {
+    info = s.memoryTable.rows.length > 0
+      ? `Experimento #${s.memoryTable.record.index}: ${s.memoryTable.rows.length} muestras`
+      : `Experimento #${s.memoryTable.record.index}: sin muestras (descarga experimental, ver el log)`;
+  }
+  else if (s.memoryUnread) info = 'El Labdisc no contestó la lectura de la memoria (ver el log)';
+  else if (s.memoryLog.length > 0) info = `${s.memoryLog.length} experimentos guardados`;
+  $('memoryInfo').textContent = info;
+
+  $('btnMemoryClear').disabled = !idle || s.memoryBusy;
+  renderMemoryClear(s);
+
+  const selected = s.memoryTable ? s.memoryTable.record.index : null;
+  $('memoryList').innerHTML = s.memoryLog.length === 0 ? '' : `
+    <table class="data-table">
+      <tr><th>#</th><th>Fecha</th><th>Hora</th><th>Rate</th><th>Muestras</th><th>Sensores</th><th></th></tr>
+      ${s.memoryLog.map(r => `
+        <tr class="${r.index === selected ? 'selected' : ''}">
+          <td>${r.index}</td><td>${r.date}</td><td>${r.time}</td><td>${r.rateLabel}</td>
+          <td>${r.samples}</td><td>${r.sensors ? r.sensors.join(', ') : '0x' + r.sensorMask.toString(16)}</td>
+          <td><button class="btn btn-outline btn-sm" onclick="handleDownloadExperiment(${r.index})"
+            ${!idle || s.memoryBusy ? 'disabled' : ''}>Descargar</button></td>
+        </tr>`).join('')}
+    </table>
+    <div class="hint memory-note">Descarga experimental: el comando todavía no está confirmado con una captura de GlobiLab X.
+      Si no llegan muestras o no coinciden con el experimento, el log dice qué contestó el Labdisc.</div>`;
+
+  const t = s.memoryTable;
+  $('memoryTable').innerHTML = !t || t.rows.length === 0 ? '' : `
+    <table class="data-table">
+      <tr>${t.columns.map(c => `<th>${c.name}${c.unit ? ' (' + c.unit + ')' : ''}</th>`).join('')}</tr>
+      ${t.rows.slice(0, MEMORY_PREVIEW_ROWS).map(row => `
+        <tr>${row.map((v, i) => `<td>${v === null ? 'n/c' : v.toFixed(t.columns[i].dec)}</td>`).join('')}</tr>`).join('')}
+    </table>`;
+}
+
+function renderDeviceInfo(st, labConn) {
+  if (!st || !labConn) {
+    $('deviceInfo').innerHTML = '<span class="hint">Conectá el Labdisc</span>';
+    return;
+  }
+
+  const rows = [
+    ['Modelo', `${st.modelName} (0x${st.model.toString(16).padStart(2, '0')})`],
+    ['Firmware', st.firmware],
+    ['Estado', st.active ? 'Registrando / experimento activo' : 'En espera'],
+    ['Reloj', `${st.date} ${st.time}`],
+    ['Sensores', st.sensorCount],
+  ];
+  if (st.active) {
+    const rate = RATE_TABLE[st.rateIdx];
+    const count = COUNT_TABLE[st.countIdx];
+    rows.push(['Registro', `${count ? count + ' muestras' : 'cantidad 0x' + st.countIdx.toString(16)} a ${rate ? rate.label : '0x' + st.rateIdx.toString(16)}`]);
+  }
+  // Sin decodificar (ver protocol.js): crudos, sin adivinar batería ni memoria
+  rows.push(['Bytes 19–28 (sin decodificar)', hex(st.extra)]);
+
+  $('deviceInfo').innerHTML = `
+    <table class="data-table">
+      ${rows.map(([k, v]) => `<tr><th>${k}</th><td>${v}</td></tr>`).join('')}
+    </table>`;
+}
+
+/** IDs con los que se armó el select de calibración (no re-armarlo en cada dato) */
+let calSensorsRendered = '';
+
+function renderCalibration(s) {
+  const devices = s.calibrationDevices.join('|');
+  if ($('calDevice').dataset.list !== devices) {
+    $('calDevice').dataset.list = devices;
+    $('calDevice').innerHTML = s.calibrationDevices.map(d => `<option>${escapeAttr(d)}</option>`).join('');
+  }
+  $('calDevice').value = s.calibrationDevice;
+
+  // Sensores del Labdisc conectado; sin conexión, todo el catálogo
+  const ids = (s.sensorIds.length > 0 ? s.sensorIds : Object.keys(SENSORS).map(Number))
+    .filter(id => SENSORS[id] && SENSORS[id].convert);
+  if (ids.join(',') !== calSensorsRendered) {
+    calSensorsRendered = ids.join(',');
+    const prev = $('calSensor').value;
+    $('calSensor').innerHTML = ids.map(id => `<option value="${id}">${SENSORS[id].name}</option>`).join('');
+    if (ids.includes(Number(prev))) $('calSensor').value = prev;
+  }
+
+  const sid = parseInt($('calSensor').value, 10);
+  const sensor = SENSORS[sid];
+  const data = s.lastValues && s.lastValues[sid];
+  if (!data || data.value === null || data.value === undefined) {
+    $('calLive').textContent = 'Sin lectura (iniciá el stream)';
+  } else if (data.uncalibrated !== undefined) {
+    $('calLive').textContent = `Lectura: ${data.uncalibrated.toFixed(sensor.dec + 1)} → calibrado ${data.value.toFixed(sensor.dec)} ${sensor.unit}`;
+  } else {
+    $('calLive').textContent = `Lectura: ${data.value.toFixed(sensor.dec + 1)} ${sensor.unit}`;
+  }
+
+  const pending = s.calibrationPending && s.calibrationPending.sensorId === sid;
+  $('btnCalPoint').textContent = pending ? 'Capturar punto 2' : 'Capturar punto 1';
+  $('btnCalOffset').disabled = pending;
+  $('btnCalCancel').hidden = !s.calibrationPending;
+
+  const records = Object.values(s.calibrations);
+  $('calList').innerHTML = records.length === 0 ? '' : `
+    <table class="data-table">
+      <tr><th>Sensor</th><th>Tipo</th><th>Gain</th><th>Offset</th><th>Puntos (medido → ref.)</th><th>Fecha</th><th></th></tr>
+      ${records.map(r => `
+        <tr>
+          <td>${SENSORS[r.sensorId] ? SENSORS[r.sensorId].name : r.sensorId}</td>
+          <td>${r.type === 'offset' ? 'Offset' : 'Dos puntos'}</td>
+          <td>${r.gain.toFixed(4)}</td><td>${r.offset.toFixed(4)}</td>
+          <td>${r.points.map(p => `${p.measured} → ${p.reference}`).join(', ')}</td>
+          <td>${new Date(r.createdAt).toLocaleString()}</td>
+          <td><button class="btn btn-outline btn-sm" onclick="handleCalClear(${r.sensorId})">Quitar</button></td>
+        </tr>`).join('')}
+    </table>`;
+}
+
+function renderExternalSensors(s) {
+  const active = s.externalOverride;
+  const builtIn = Object.keys(EXTERNAL_SENSORS).map(id => ({ id: Number(id), ...EXTERNAL_SENSORS[id], builtIn: true }));
+  const all = builtIn.concat(s.externalSensors);
+
+  $('extList').innerHTML = `
+    <table class="data-table">
+      <tr><th>ID</th><th>Nombre</th><th>Unidad</th><th>Factor</th><th>Slot</th><th>Fórmula</th><th></th></tr>
+      ${all.map(d => `
+        <tr class="${active && active.name === d.name ? 'selected' : ''}">
+          <td>${d.id}</td><td>${escapeAttr(d.name)}</td><td>${escapeAttr(d.unit)}</td><td>${d.factor}</td>
+          <td>${SENSORS[d.replacesId] ? SENSORS[d.replacesId].name : d.replacesId}</td>
+          <td>${d.builtIn ? 'incluido' : d.formula.type}</td>
+          <td>${d.builtIn ? '' : `
+            <button class="btn btn-outline btn-sm" onclick="handleExtEdit(${d.id})">Editar</button>
+            <button class="btn btn-outline btn-sm" onclick="handleExtRemove(${d.id})">Quitar</button>`}</td>
+        </tr>`).join('')}
+    </table>`;
+}
+
+function fillExternalOptions() {
+  $('extReplaces').innerHTML = Object.keys(SENSORS)
+    .filter(id => SENSORS[id].convert && SENSORS[id].bytes === 2)
+    .map(id => `<option value="${id}">${SENSORS[id].name} (${id})</option>`).join('');
+  $('extReplaces').value = '32';
+  handleExtFormulaType('linear');
+}
+
+let trackDrawnKey = '';
+
+function renderTrack(s) {
+  const btn = $('btnTrack');
+  btn.textContent = s.trackRecording ? '⏹ Detener' : '⏺ Grabar recorrido';
+  btn.className = `btn btn-sm ${s.trackRecording ? 'btn-disconnect' : 'btn-connect'}`;
+  $('btnTrackGpx').disabled = s.trackPoints === 0;
+  $('btnTrackKml').disabled = s.trackPoints === 0;
+  $('btnTrackClear').disabled = s.trackPoints === 0 || s.trackRecording;
+
+  // Opciones de color: los sensores que aparecen en el recorrido
+  const ids = bridge.track.sensorIds();
+  const select = $('trackColor');
+  if (select.dataset.list !== ids.join(',')) {
+    const prev = select.value;
+    select.dataset.list = ids.join(',');
+    select.innerHTML = '<option value="">—</option>' +
+      ids.map(id => `<option value="${id}">${SENSORS[id].name}</option>`).join('');
+    select.value = ids.includes(Number(prev)) ? prev : (ids.includes(30) ? '30' : '');
+  }
+
+  const key = s.trackPoints + '|' + select.value;
+  if (key === trackDrawnKey) return;
+  trackDrawnKey = key;
+  drawTrack($('trackCanvas'), bridge.track, select.value === '' ? null : Number(select.value));
+  $('trackInfo').textContent = s.trackPoints > 0
+    ? `${s.trackPoints} puntos · ${Math.round(bridge.track.distanceM())} m`
+    : 'El GPS da un punto por segundo: usá 1 Hz';
+}
+
+/** Entradas del perfil UART en uso que tienen unidades alternativas */
+function unitEntries() {
+  const lines = bridge.layouts.lines();
+  return lines[0].concat(lines[1])
+    .filter(e => bridge.units.options(e.unit).length > 1);
+}
+
+/** Claves con las que se armó la lista de unidades (cambia con el perfil UART) */
+let unitsRendered = '';
+
+function fillUnitOptions() {
+  unitsRendered = unitEntries().map(e => unitKey(e.id, e.gpsField)).join(',');
+  $('unitList').innerHTML = unitEntries().map(e => {
+    const key = unitKey(e.id, e.gpsField);
+    return `
+      <label class="inline">${e.name}
+        <select data-key="${key}" onchange="handleUnit('${key}', this.value, '${escapeAttr(e.unit)}')">
+          ${bridge.units.options(e.unit).map(u => `<option>${escapeAttr(u)}</option>`).join('')}
+        </select>
+      </label>`;
+  }).join('');
+}
+
+function renderUnits(s) {
+  if (unitEntries().map(e => unitKey(e.id, e.gpsField)).join(',') !== unitsRendered) fillUnitOptions();
+  for (const e of unitEntries()) {
+    const key = unitKey(e.id, e.gpsField);
+    const sel = document.querySelector(`#unitList select[data-key="${key}"]`);
+    if (sel) sel.value = s.units.targets[key] || e.unit;
+  }
+  $('unitScaleUart').checked = s.units.scaleUart;
+  $('unitUartWarning').hidden = !s.units.scaleUart;
+}
+
+/** Último perfil dibujado en el editor (no re-armar los selects en cada dato) */
+let layoutRendered = '';
+
+function renderLayout(s) {
+  const names = s.uartLayouts.join('|');
+  if ($('layoutProfile').dataset.list !== names) {
+    $('layoutProfile').dataset.list = names;
+    $('layoutProfile').innerHTML = s.uartLayouts.map(n => `<option>${escapeAttr(n)}</option>`).join('');
+  }
+  $('layoutProfile').value = s.uartLayout;
+  $('btnLayoutRemove').disabled = s.uartLayout === STANDARD_LAYOUT;
+  $('layoutHeader').textContent = s.uartHeader.join('\n');
+
+  const draft = editLayout();
+  const dirty = JSON.stringify(draft.lines) !== JSON.stringify(compactLayout(bridge.layouts.lines()));
+  // El peor caso depende también de las unidades y del sensor externo
+  const scale = JSON.stringify(s.units) + '|' + s.uartHeader.join('');
+  const key = s.uartLayout + '|' + dirty + '|' + JSON.stringify(draft) + '|' + scale;
+  if (key === layoutRendered) return;
+  layoutRendered = key;
+
+  const used = draft.lines[0].concat(draft.lines[1]).map(f => unitKey(f.id, f.gpsField));
+  const free = availableFields().filter(f => !used.includes(unitKey(f.id, f.gpsField)));
+
+  $('layoutLines').innerHTML = draft.lines.map((line, n) => {
+    const entries = line.map(f => layoutField(f.id, f.gpsField, f.factor));
+    const bytes = bridge.uartLineBytes(entries);
+    const over = bytes > LINE_MAX_BYTES;
+    return `
+      <div class="layout-line">
+        <div class="panel-actions">
+          <strong>Línea ${n === 0 ? 'A' : 'B'}</strong>
+          <span class="hint${over ? ' over' : ''}">peor caso ${bytes}/${LINE_MAX_BYTES} bytes${over ? ': la micro:bit la cortaría, sacá campos o bajá factores' : ''}</span>
+          ${n === 0 && dirty ? `<span class="hint">· cambios sin guardar (la micro:bit sigue con ${escapeAttr(s.uartLayout)})</span>` : ''}
+        </div>
+        <table class="data-table">
+          <tr><th>#</th><th>Campo</th><th>Factor</th><th>Caracteres</th><th></th></tr>
+          ${entries.map((e, i) => `
+            <tr>
+              <td>${i}</td>
+              <td>${e.name}${e.unit ? ` (${escapeAttr(e.unit)})` : ''}</td>
+              <td><select onchange="handleLayoutFactor(${n}, ${i}, this.value)">
+                ${UART_FACTORS.map(f => `<option value="${f}" ${f === e.factor ? 'selected' : ''}>×${f}</option>`).join('')}
+              </select></td>
+              <td>${bridge.uartFieldChars(e)}</td>
+              <td>
+                <button class="btn btn-outline btn-sm" onclick="handleLayoutMove(${n}, ${i}, -1)" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-outline btn-sm" onclick="handleLayoutMove(${n}, ${i}, 1)" ${i === line.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn btn-outline btn-sm" onclick="handleLayoutOtherLine(${n}, ${i})">→ ${n === 0 ? 'B' : 'A'}</button>
+                <button class="btn btn-outline btn-sm" onclick="handleLayoutDrop(${n}, ${i})">Quitar</button>
+              </td>
+            </tr>`).join('')}
+        </table>
+        <div class="panel-actions" style="margin-top: 6px;">
+          <select id="layoutAdd${n}">
+            ${free.map(f => `<option value="${unitKey(f.id, f.gpsField)}">${f.name}</option>`).join('')}
+          </select>
+          <button class="btn btn-outline btn-sm" onclick="handleLayoutAdd(${n})" ${free.length === 0 ? 'disabled' : ''}>Agregar</button>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+function renderMemoryClear(s) {
+  const box = $('memoryClear');
+  const c = s.memoryClear;
+  box.hidden = !c;
+  if (!c) return;
+
+  const n = s.memoryLog.length;
+  if (c.step === 'confirm') {
+    box.innerHTML = `
+      <p>${c.unread ? 'El Labdisc no contestó la lectura: no se sabe qué experimentos tiene guardados. Si borrás, se pierden todos.'
+        : n === 0 ? 'La memoria ya está vacía.'
+        : `Se van a borrar <strong>${n} experimentos</strong> del Labdisc. No se puede deshacer: exportá el log y descargá lo que necesites antes.`}</p>
+      <div class="panel-actions">
+        <button class="btn btn-outline btn-sm" onclick="handleExportMemoryLog()" ${n === 0 ? 'disabled' : ''}>Exportar log (CSV)</button>
+        <button class="btn btn-disconnect btn-sm" onclick="handleConfirmClearMemory()" ${s.memoryBusy ? 'disabled' : ''}>
+          Sí, borrar la memoria</button>
+        <button class="btn btn-outline btn-sm" onclick="handleCancelClearMemory()" ${s.memoryBusy ? 'disabled' : ''}>Cancelar</button>
+      </div>`;
+  } else {
+    box.innerHTML = `
+      <p>${c.ok ? 'Memoria borrada: el Labdisc no tiene experimentos guardados.'
+        : c.unread ? 'No se pudo verificar el borrado: el Labdisc no contestó la lectura de la memoria.'
+        : `No se pudo verificar el borrado${n > 0 ? `: quedan ${n} experimentos` : ''}.`}</p>
+      <div class="panel-actions">
+        <button class="btn btn-outline btn-sm" onclick="handleCancelClearMemory()">Cerrar</button>
+      </div>`;
+  }
+}
+
+/** Último estado dibujado del banco de pruebas (no pisar las notas mientras se escriben) */
+let workbenchRendered = '';
+
+function renderWorkbench(s, labConn) {
+  $('btnWbSend').disabled = !labConn || s.workbenchBusy || s.replaying;
+  $('btnWbSave').disabled = s.workbench.length === 0;
+  $('wbInfo').textContent = s.workbenchBusy ? 'Esperando respuestas...'
+    : !labConn ? 'Conectá el Labdisc'
+    : `${s.workbench.length} intercambios`;
+
+  const key = s.workbench.map(ex => ex.id).join(',');
+  if (key === workbenchRendered) return;
+  workbenchRendered = key;
+
+  $('wbList').innerHTML = s.workbench.slice().reverse().map(ex => `
+    <div class="wb-exchange">
+      <div class="panel-actions">
+        <strong>#${ex.id}</strong>
+        <span class="hex">TX ${ex.tx}</span>
+        <span class="hint">${ex.responses.length} respuestas</span>
+        <button class="btn btn-outline btn-sm" onclick="handleWbRemove(${ex.id})">Quitar</button>
+      </div>
+      <table class="data-table">
+        <tr><th>Tipo</th><th>Largo</th><th>Cant.</th><th>Primer paquete</th></tr>
+        ${groupResponses(ex).map(g => `
+          <tr><td>0x${g.type.toString(16).padStart(2, '0')}</td><td>${g.length}</td><td>${g.packets.length}</td>
+            <td class="hex">${hex(g.packets[0].bytes)}</td></tr>`).join('')}
+      </table>
+      <input type="text" placeholder="Nota: qué se probó, qué significa..." value="${escapeAttr(ex.note)}"
+        onchange="handleWbNote(${ex.id}, this.value)">
+    </div>`).join('');
+
+  // Opciones de comparación: cada respuesta de cada intercambio
+  const options = [];
+  for (const ex of s.workbench) {
+    ex.responses.forEach((r, i) => {
+      options.push(`<option value="${ex.id}:${i}">#${ex.id} · 0x${r.type.toString(16).padStart(2, '0')} (${r.bytes.length}b) · ${r.t} ms</option>`);
+    });
+  }
+  for (const id of ['wbDiffA', 'wbDiffB']) {
+    const prev = $(id).value;
+    $(id).innerHTML = options.join('');
+    if (prev && options.some(o => o.includes(`value="${prev}"`))) $(id).value = prev;
+  }
+  if (options.length > 1 && $('wbDiffA').value === $('wbDiffB').value) $('wbDiffB').selectedIndex = 1;
+  renderWorkbenchDiff(s.workbench);
+}
+
+function renderWorkbenchDiff(exchanges) {
+  const pick = value => {
+    if (!value) return null;
+    const [id, i] = value.split(':').map(Number);
+    const ex = exchanges.find(e => e.id === id);
+    return ex ? ex.responses[i] : null;
+  };
+  const a = pick($('wbDiffA').value);
+  const b = pick($('wbDiffB').value);
+  if (!a || !b || a === b) {
+    $('wbDiff').innerHTML = '';
+    return;
+  }
+
+  const diff = diffPackets(a.bytes, b.bytes);
+  $('wbDiff').innerHTML = diff.length === 0
+    ? '<div class="hint">Idénticos</div>'
+    : `<table class="data-table">
+        <tr><th>Byte</th><th>Campo</th><th>A</th><th>B</th></tr>
+        ${diff.map(d => `
+          <tr><td>${d.offset}</td><td>${d.field}</td>
+            <td class="changed">${d.a === undefined ? '—' : '0x' + d.a.toString(16).padStart(2, '0')}</td>
+            <td class="changed">${d.b === undefined ? '—' : '0x' + d.b.toString(16).padStart(2, '0')}</td></tr>`).join('')}
+      </table>`;
+}
+
+function hex(bytes) {
+  return bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+function escapeAttr(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
 // ─── API support check ───
 
 function checkSupport() {
@@ -185,18 +1174,47 @@ function checkSupport() {
   const ble = MicrobitBLE.isSupported();
 
   if (!serial) {
-    logger.log('err', 'Web Serial API no disponible. Usá Chrome 89+.');
-    $('btnLabdisc').disabled = true;
+    logger.log('err', 'Web Serial API no disponible. Usá Chrome 89+ (o el Demo Labdisc).');
   }
   if (!ble) {
     logger.log('err', 'Web Bluetooth API no disponible. Usá Chrome 89+.');
-    $('btnMicrobit').disabled = true;
   }
   if (serial && ble) {
     logger.log('info', 'Web Serial + Web Bluetooth disponibles. Listo.');
   }
 }
 
+function fillLoggingOptions() {
+  $('loggingRate').innerHTML = Object.keys(RATE_TABLE)
+    .filter(k => RATE_TABLE[k].hz)
+    .map(k => `<option value="${k}">${RATE_TABLE[k].label}</option>`).join('');
+  $('loggingCount').innerHTML = Object.keys(COUNT_TABLE)
+    .filter(k => COUNT_TABLE[k] !== null)
+    .map(k => `<option value="${k}">${COUNT_TABLE[k]} muestras</option>`).join('');
+}
+
 // ─── Init ───
+fillLoggingOptions();
+fillExternalOptions();
+fillUnitOptions();
 checkSupport();
-renderState();
\ No newline at end of file
+renderState();
+if (localStorage.getItem(PREF_DEVICE) === 'demo') {
+  handleDevice('demo');
+} else {
+  // Port ya autorizado en una sesión anterior: conectar sin el selector
+  LabdiscConnection.grantedPorts().then(ports => {
+    if (ports.length > 0 && !bridge.isDemo && !bridge.labdisc.isConnected) bridge.connectLabdisc({ noPrompt: true });
+  }).catch(e => {
+    // Sin auto-conexión: queda el botón Conectar
+    logger.log('warn', `No se pudieron leer los ports autorizados: ${e.message}`);
+  });
+}
+// Ídem con las micro:bits de la sesión anterior (si el navegador tiene getDevices)
+bridge.connectKnownMicrobits();
+
+// Re-render periódico: el indicador de enlace y el progreso del registro
+// tienen que avanzar aunque no lleguen datos (justamente cuando se pierden).
+setInterval(() => {
+  if (bridge.labdisc.isStreaming || bridge.labdisc.state === ConnectionState.LOGGING) renderState();
+}, 1000);
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * download.js — Guardar archivos generados por la app
+ *
+ * No hay backend: los archivos se arman en memoria y se ofrecen como
+ * descarga con un <a download> temporal.
+ */
+
+/**
+ * Ofrece un archivo de texto/binario para descargar.
+ * @param {string} filename
+ * @param {string|Blob} content
+ * @param {string} [mimeType='text/plain']
+ */
+export function saveFile(filename, content, mimeType) {
+  var blob = content instanceof Blob
+    ? content
+    : new Blob([content], { type: (mimeType || 'text/plain') + ';charset=utf-8' });
+  var url = URL.createObjectURL(blob);
+
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+}
+
+/** Timestamp local compacto para nombres de archivo: 2026-03-04_1532 */
+export function fileStamp(date) {
+  var d = date || new Date();
+  var p = function(n) { return String(n).padStart(2, '0'); };
+  return d.getFullYear() + '-' + p(d.getMonth() + 1) + '-' + p(d.getDate()) +
+    '_' + p(d.getHours()) + p(d.getMinutes());
+}
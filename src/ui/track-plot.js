@@ -0,0 +1,120 @@
+/**
+ * track-plot.js — Dibujo del recorrido GPS en un <canvas> (sin mapas, sin red)
+ *
+ * Proyección equirectangular centrada en el recorrido (alcanza para los
+ * pocos km de una salida de campo), con la misma escala en x e y. Cada
+ * tramo se pinta con el color del valor del sensor elegido en su punto
+ * inicial: azul = mínimo, rojo = máximo del recorrido.
+ */
+
+import { SENSORS } from '../labdisc/sensors.js';
+
+const PAD = 24;
+
+/**
+ * Color de un valor normalizado (0 = azul, 1 = rojo).
+ * @param {number} f - 0..1
+ */
+function colorFor(f) {
+  var hue = Math.round(240 * (1 - Math.max(0, Math.min(1, f))));
+  return 'hsl(' + hue + ', 80%, 45%)';
+}
+
+/**
+ * Dibuja el recorrido.
+ * @param {HTMLCanvasElement} canvas
+ * @param {GpsTrack} track
+ * @param {number|null} sensorId - Sensor para el color (null = un solo color)
+ * @returns {{min: number, max: number}|null} Rango del sensor (para la leyenda)
+ */
+export function drawTrack(canvas, track, sensorId) {
+  var ctx = canvas.getContext('2d');
+  var w = canvas.width;
+  var h = canvas.height;
+  var pts = track.points;
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = '11px sans-serif';
+  ctx.fillStyle = '#888';
+  if (pts.length === 0) {
+    ctx.fillText('Sin puntos (esperando fix del GPS)', PAD, h / 2);
+    return null;
+  }
+
+  // Extensión del recorrido en metros alrededor del centro
+  var lat0 = 0;
+  var lon0 = 0;
+  pts.forEach(function(p) { lat0 += p.lat; lon0 += p.lon; });
+  lat0 /= pts.length;
+  lon0 /= pts.length;
+  var mPerDegLat = 111320;
+  var mPerDegLon = 111320 * Math.cos(lat0 * Math.PI / 180);
+  var xy = pts.map(function(p) { return [(p.lon - lon0) * mPerDegLon, (p.lat - lat0) * mPerDegLat]; });
+
+  var maxX = 1;
+  var maxY = 1;
+  xy.forEach(function(q) { maxX = Math.max(maxX, Math.abs(q[0])); maxY = Math.max(maxY, Math.abs(q[1])); });
+  var scale = Math.min((w / 2 - PAD) / maxX, (h / 2 - PAD) / maxY);
+  var px = function(q) { return [w / 2 + q[0] * scale, h / 2 - q[1] * scale]; };
+
+  // Rango del sensor elegido
+  var range = null;
+  if (sensorId !== null) {
+    pts.forEach(function(p) {
+      var v = p.values[sensorId];
+      if (v === undefined) return;
+      if (!range) range = { min: v, max: v };
+      range.min = Math.min(range.min, v);
+      range.max = Math.max(range.max, v);
+    });
+  }
+
+  ctx.lineWidth = 3;
+  ctx.lineCap = 'round';
+  for (var i = 1; i < xy.length; i++) {
+    var v = sensorId !== null ? pts[i - 1].values[sensorId] : undefined;
+    ctx.strokeStyle = range && v !== undefined
+      ? colorFor(range.max > range.min ? (v - range.min) / (range.max - range.min) : 0.5)
+      : '#999';
+    var a = px(xy[i - 1]);
+    var b = px(xy[i]);
+    ctx.beginPath();
+    ctx.moveTo(a[0], a[1]);
+    ctx.lineTo(b[0], b[1]);
+    ctx.stroke();
+  }
+
+  // Inicio (círculo) y posición actual (punto lleno)
+  var start = px(xy[0]);
+  var end = px(xy[xy.length - 1]);
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = '#333';
+  ctx.beginPath();
+  ctx.arc(start[0], start[1], 5, 0, 2 * Math.PI);
+  ctx.stroke();
+  ctx.fillStyle = '#333';
+  ctx.beginPath();
+  ctx.arc(end[0], end[1], 4, 0, 2 * Math.PI);
+  ctx.fill();
+
+  // Escala: una barra con una distancia redonda
+  var barM = Math.pow(10, Math.floor(Math.log10((w / 4) / scale)));
+  ctx.fillRect(PAD, h - PAD / 2 - 2, barM * scale, 2);
+  ctx.fillText(barM >= 1000 ? barM / 1000 + ' km' : barM + ' m', PAD, h - PAD / 2 - 6);
+
+  // Leyenda de colores
+  if (range) {
+    var s = SENSORS[sensorId];
+    var lx = w - PAD - 100;
+    for (var k = 0; k < 100; k++) {
+      ctx.fillStyle = colorFor(k / 99);
+      ctx.fillRect(lx + k, PAD / 2, 1, 8);
+    }
+    ctx.fillStyle = '#555';
+    ctx.fillText(range.min.toFixed(s.dec), lx, PAD / 2 + 20);
+    var maxText = range.max.toFixed(s.dec) + ' ' + s.unit;
+    ctx.fillText(maxText, lx + 100 - ctx.measureText(maxText).width, PAD / 2 + 20);
+  }
+
+  return range;
+}
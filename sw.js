@@ -20,7 +20,7 @@
 
 // Cambiá este string cada vez que actualices archivos para forzar
 // que el SW baje las versiones nuevas.
-const CACHE_VERSION = 'microbit-labdisc-link-v2.0';
+const CACHE_VERSION = 'microbit-labdisc-link-v2.14';
 
 // Archivos que forman el "app shell" — todo lo necesario para que
 // la interfaz cargue sin red. Estos se descargan en el evento install.
@@ -32,12 +32,27 @@ const APP_SHELL = [
   './icon-512.png',
   './src/ui/app.js',
   './src/ui/logger.js',
+  './src/ui/download.js',
+  './src/ui/track-plot.js',
   './src/bridge/bridge.js',
   './src/bridge/formatter.js',
+  './src/bridge/units.js',
+  './src/bridge/uart-layout.js',
+  './src/bridge/commands.js',
   './src/labdisc/connection.js',
   './src/labdisc/parser.js',
   './src/labdisc/protocol.js',
   './src/labdisc/sensors.js',
+  './src/labdisc/memory.js',
+  './src/labdisc/link-stats.js',
+  './src/labdisc/watchdog.js',
+  './src/labdisc/capture.js',
+  './src/labdisc/simulator.js',
+  './src/labdisc/workbench.js',
+  './src/labdisc/external-sensors.js',
+  './src/labdisc/calibration.js',
+  './src/labdisc/exclusive-pairs.js',
+  './src/labdisc/gps-track.js',
   './src/labdisc/poll-worker.js',
   './src/microbit/ble-uart.js',
 ];